@@ -25,6 +25,13 @@ import commentRouter from "./routes/comments.routes.js";
 import likeRouter from "./routes/like.routes.js";
 import playlistRouter from "./routes/playlist.routes.js";
 import dashboardRouter from "./routes/dashboard.routes.js";
+import captionRouter from "./routes/caption.routes.js";
+import tagRouter from "./routes/tag.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import authRouter from "./routes/auth.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import mediaRouter from "./routes/media.routes.js";
 
 app.use("/api/v1/health", healthcheckRouter);
 app.use("/api/v1/users", userRouter);
@@ -35,5 +42,12 @@ app.use("/api/v1/comments", commentRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/playlists", playlistRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/captions", captionRouter);
+app.use("/api/v1/tags", tagRouter);
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/auth", authRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/media", mediaRouter);
 
 export { app };
@@ -1 +1,73 @@
-export const DB_NAME = "MyTube"
\ No newline at end of file
+export const DB_NAME = "MyTube"
+
+export const TEMP_DIR = process.env.TEMP_DIR || "./storage/temp"
+
+export const UPLOAD_CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024
+export const UPLOAD_MAX_FILE_SIZE = Number(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024 * 1024
+export const UPLOAD_SESSION_TTL = Number(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000
+export const UPLOAD_CLEANUP_INTERVAL = Number(process.env.UPLOAD_CLEANUP_INTERVAL) || 60 * 60 * 1000
+
+export const VIDEO_PROCESSING_POLL_INTERVAL = Number(process.env.VIDEO_PROCESSING_POLL_INTERVAL) || 10 * 1000
+export const VIDEO_PROCESSING_LOCK_TIMEOUT = Number(process.env.VIDEO_PROCESSING_LOCK_TIMEOUT) || 30 * 60 * 1000
+export const VIDEO_PROCESSING_MAX_ATTEMPTS = Number(process.env.VIDEO_PROCESSING_MAX_ATTEMPTS) || 3
+
+export const PUBLISH_SCHEDULER_INTERVAL = Number(process.env.PUBLISH_SCHEDULER_INTERVAL) || 60 * 1000
+
+export const THUMBNAIL_TEST_SAMPLE_SIZE = Number(process.env.THUMBNAIL_TEST_SAMPLE_SIZE) || 1000
+export const THUMBNAIL_IMPRESSION_TTL = Number(process.env.THUMBNAIL_IMPRESSION_TTL) || 7 * 24 * 60 * 60
+
+export const VIDEO_CATEGORIES = [
+    "autos-vehicles",
+    "comedy",
+    "education",
+    "entertainment",
+    "film-animation",
+    "gaming",
+    "howto-style",
+    "music",
+    "news-politics",
+    "nonprofits-activism",
+    "people-blogs",
+    "pets-animals",
+    "science-technology",
+    "sports",
+    "travel-events",
+]
+
+export const MAX_TAGS_PER_VIDEO = 15
+export const MAX_TAG_LENGTH = 30
+
+export const SEARCH_MAX_CANDIDATES = Number(process.env.SEARCH_MAX_CANDIDATES) || 1000
+
+export const SUGGESTION_MIN_QUERY_COUNT = Number(process.env.SUGGESTION_MIN_QUERY_COUNT) || 3
+export const SUGGESTION_CACHE_TTL = Number(process.env.SUGGESTION_CACHE_TTL) || 30 * 1000
+
+export const TRENDING_INTERVAL = Number(process.env.TRENDING_INTERVAL) || 15 * 60 * 1000
+export const TRENDING_HALF_LIFE = Number(process.env.TRENDING_HALF_LIFE) || 24 * 60 * 60 * 1000
+export const TRENDING_MAX_AGE = Number(process.env.TRENDING_MAX_AGE) || 30 * 24 * 60 * 60 * 1000
+export const TRENDING_LIST_SIZE = Number(process.env.TRENDING_LIST_SIZE) || 200
+export const TRENDING_PER_CHANNEL = Number(process.env.TRENDING_PER_CHANNEL) || 3
+
+export const FEED_UNSEEN_WINDOW = Number(process.env.FEED_UNSEEN_WINDOW) || 7 * 24 * 60 * 60 * 1000
+
+export const WATCH_SESSION_GAP = Number(process.env.WATCH_SESSION_GAP) || 30 * 60 * 1000
+
+export const APP_URL = process.env.APP_URL || "http://localhost:3000"
+export const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === "true"
+export const EMAIL_VERIFICATION_TTL = Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60 * 1000
+export const EMAIL_VERIFICATION_RESEND_INTERVAL = Number(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60 * 1000
+export const PASSWORD_RESET_TTL = Number(process.env.PASSWORD_RESET_TTL) || 30 * 60 * 1000
+export const PASSWORD_RESET_REQUEST_INTERVAL = Number(process.env.PASSWORD_RESET_REQUEST_INTERVAL) || 60 * 1000
+
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || DB_NAME
+export const MFA_PENDING_TTL = Number(process.env.MFA_PENDING_TTL) || 5 * 60 * 1000
+export const MFA_MAX_ATTEMPTS = Number(process.env.MFA_MAX_ATTEMPTS) || 5
+export const MFA_LOCKOUT_DURATION = Number(process.env.MFA_LOCKOUT_DURATION) || 15 * 60 * 1000
+export const RECOVERY_CODE_COUNT = 10
+
+export const OAUTH_REDIRECT_URL = process.env.OAUTH_REDIRECT_URL || `${APP_URL}/oauth/callback`
+export const OAUTH_STATE_TTL = Number(process.env.OAUTH_STATE_TTL) || 10 * 60 * 1000
+export const OAUTH_HTTP_TIMEOUT = Number(process.env.OAUTH_HTTP_TIMEOUT) || 10 * 1000
+
+// From least to most privileged
+export const ROLES = ["user", "creator", "moderator", "admin"]
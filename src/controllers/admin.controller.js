@@ -0,0 +1,104 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+import { ROLE_PERMISSIONS } from "../utils/permissions.js";
+import { escapeRegex } from "../utils/search/fieldMatch.js";
+import { ROLES } from "../constant.js";
+
+const parseRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new APIError(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  return role;
+};
+
+const getRoles = asyncHandler(async (req, res) => {
+  return res.status(200).json(
+    new APIResponse(
+      200,
+      ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+      "Roles fetched successfully"
+    )
+  );
+});
+
+// `q` matches the start of a username or email
+const getUsers = asyncHandler(async (req, res) => {
+  const { role, q } = req.query;
+
+  const match = {};
+
+  // accounts from before roles existed have no role stored
+  if (role) {
+    match.role = parseRole(role) === "user" ? { $in: ["user", null] } : role;
+  }
+
+  if (q && q.trim() !== "") {
+    const prefix = new RegExp(`^${escapeRegex(q.trim().toLowerCase())}`);
+    match.$or = [{ username: prefix }, { email: prefix }];
+  }
+
+  const users = await paginateWithCursor(User, {
+    pipeline: [
+      { $match: match },
+      {
+        $project: {
+          username: 1,
+          fullName: 1,
+          email: 1,
+          emailVerified: 1,
+          avatar: 1,
+          role: { $ifNull: ["$role", "user"] },
+          createdAt: 1,
+        },
+      },
+    ],
+    sort: { createdAt: -1 },
+    query: req.query,
+  });
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, users, "Users fetched successfully"));
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new APIError(400, "Invalid user ID");
+  }
+
+  const role = parseRole(req.body?.role);
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new APIError(404, "User not found");
+  }
+
+  // someone has to be left who can hand out roles
+  if (user.role === "admin" && role !== "admin") {
+    const otherAdmins = await User.countDocuments({
+      role: "admin",
+      _id: { $ne: user._id },
+    });
+
+    if (otherAdmins === 0) {
+      throw new APIError(409, "Cannot remove the last admin");
+    }
+  }
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, user, "User role updated successfully"));
+});
+
+export { getRoles, getUsers, updateUserRole };
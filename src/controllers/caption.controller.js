@@ -0,0 +1,366 @@
+import fs from "fs";
+import { isValidObjectId } from "mongoose";
+import { Caption } from "../models/caption.model.js";
+import { Video } from "../models/video.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { authorize } from "../utils/permissions.js";
+import {
+  parseCaptions,
+  stripCueMarkup,
+  toWebVTT,
+  validateCues,
+} from "../utils/captions.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const findVideo = async (videoId) => {
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  return video;
+};
+
+const findOwnedVideo = async (videoId, user) => {
+  const video = await findVideo(videoId);
+
+  authorize(
+    user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
+  return video;
+};
+
+const parseLanguage = (language) => {
+  if (typeof language !== "string" || !LANGUAGE_TAG.test(language.trim())) {
+    throw new APIError(
+      400,
+      "A valid language code is required (e.g. en, pt-BR)"
+    );
+  }
+
+  return language.trim().toLowerCase();
+};
+
+// The track comes either as an uploaded file or as raw text in `content`.
+const readCaptionInput = async (req) => {
+  const captionLocalPath = req.file?.path;
+
+  if (captionLocalPath) {
+    try {
+      return await fs.promises.readFile(captionLocalPath, "utf8");
+    } finally {
+      fs.rmSync(captionLocalPath, { force: true });
+    }
+  }
+
+  if (req.body?.content && req.body.content.trim() !== "") {
+    return req.body.content;
+  }
+
+  throw new APIError(400, "Caption file is required");
+};
+
+const buildCaptionTrack = (content, duration) => {
+  const { format, cues, errors } = parseCaptions(content);
+
+  const timingErrors = validateCues(cues, duration);
+
+  if (errors.length > 0 || timingErrors.length > 0) {
+    throw new APIError(400, "Invalid caption file", [
+      ...errors,
+      ...timingErrors,
+    ]);
+  }
+
+  return {
+    sourceFormat: format,
+    cues,
+    vtt: toWebVTT(cues),
+    text: cues.map((cue) => stripCueMarkup(cue.text)).join(" "),
+  };
+};
+
+const toTrackSummary = (caption) => ({
+  language: caption.language,
+  label: caption.label,
+  sourceFormat: caption.sourceFormat,
+  cueCount: caption.cues.length,
+  createdAt: caption.createdAt,
+  updatedAt: caption.updatedAt,
+});
+
+const getVideoCaptions = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findVideo(videoId);
+
+  if (!video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
+  }
+
+  const captions = await Caption.find({ video: video._id }).sort({
+    language: 1,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        captions.map(toTrackSummary),
+        "Captions fetched successfully"
+      )
+    );
+});
+
+const addCaption = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const content = await readCaptionInput(req);
+  const language = parseLanguage(req.body?.language);
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  const existingCaption = await Caption.findOne({
+    video: video._id,
+    language,
+  });
+
+  if (existingCaption) {
+    throw new APIError(
+      409,
+      `A ${language} caption track already exists, replace it instead`
+    );
+  }
+
+  const caption = await Caption.create({
+    video: video._id,
+    owner: req.user._id,
+    language,
+    label: req.body?.label || language,
+    ...buildCaptionTrack(content, video.duration),
+  });
+
+  return res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        toTrackSummary(caption),
+        "Caption added successfully"
+      )
+    );
+});
+
+const replaceCaption = asyncHandler(async (req, res) => {
+  const { videoId, language } = req.params;
+
+  const content = await readCaptionInput(req);
+  const normalizedLanguage = parseLanguage(language);
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  const caption = await Caption.findOneAndUpdate(
+    { video: video._id, language: normalizedLanguage },
+    {
+      $set: {
+        ...buildCaptionTrack(content, video.duration),
+        ...(req.body?.label && { label: req.body.label }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!caption) {
+    throw new APIError(404, "Caption track not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        toTrackSummary(caption),
+        "Caption replaced successfully"
+      )
+    );
+});
+
+const deleteCaption = asyncHandler(async (req, res) => {
+  const { videoId, language } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  const caption = await Caption.findOneAndDelete({
+    video: video._id,
+    language: parseLanguage(language),
+  });
+
+  if (!caption) {
+    throw new APIError(404, "Caption track not found");
+  }
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Caption deleted successfully"));
+});
+
+const getCaptionTrack = asyncHandler(async (req, res) => {
+  const { videoId, language } = req.params;
+
+  const video = await findVideo(videoId);
+
+  if (!video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
+  }
+
+  const caption = await Caption.findOne({
+    video: video._id,
+    language: parseLanguage(language),
+  }).select("vtt updatedAt");
+
+  if (!caption) {
+    throw new APIError(404, "Caption track not found");
+  }
+
+  return res
+    .status(200)
+    .set({
+      "Content-Type": "text/vtt; charset=utf-8",
+      "Cache-Control": "private, max-age=300",
+      "Last-Modified": caption.updatedAt.toUTCString(),
+    })
+    .send(caption.vtt);
+});
+
+const searchCaptions = asyncHandler(async (req, res) => {
+  const { q } = req.query;
+
+  if (typeof q !== "string" || q.trim() === "") {
+    throw new APIError(400, "Search query is required");
+  }
+
+  const results = await paginateWithCursor(Caption, {
+    pipeline: [
+      {
+        $match: {
+          $text: { $search: q },
+        },
+      },
+      {
+        $addFields: {
+          score: { $meta: "textScore" },
+        },
+      },
+      {
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "video",
+          pipeline: [
+            {
+              $match: {
+                ...Video.listableMatch(req.user._id),
+                status: "ready",
+              },
+            },
+            {
+              $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                  {
+                    $project: {
+                      username: 1,
+                      fullName: 1,
+                      avatar: 1,
+                    },
+                  },
+                ],
+              },
+            },
+            {
+              $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                createdAt: 1,
+                owner: {
+                  $first: "$owner",
+                },
+              },
+            },
+          ],
+        },
+      },
+      {
+        $match: {
+          "video.0": { $exists: true },
+        },
+      },
+    ],
+    sort: { score: -1 },
+    stages: [
+      {
+        $project: {
+          video: {
+            $first: "$video",
+          },
+          language: 1,
+          label: 1,
+          cues: 1,
+          score: 1,
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  // point each hit at the first cue mentioning one of the search terms
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  results.docs = results.docs.map(({ cues, ...result }) => {
+    const cue = cues.find((cue) =>
+      terms.some((term) =>
+        stripCueMarkup(cue.text).toLowerCase().includes(term)
+      )
+    );
+
+    return {
+      ...result,
+      match: cue
+        ? { start: cue.start, end: cue.end, text: stripCueMarkup(cue.text) }
+        : null,
+    };
+  });
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, results, "Captions searched successfully"));
+});
+
+export {
+  getVideoCaptions,
+  addCaption,
+  replaceCaption,
+  deleteCaption,
+  getCaptionTrack,
+  searchCaptions,
+};
@@ -1,60 +1,55 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Comment } from "../models/comment.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { authorize } from "../utils/permissions.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const getVideoComments = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
-  const { page = 1, limit = 10 } = req.query;
 
   if (!isValidObjectId(videoId)) {
     throw new APIError(400, "Invalid video ID");
   }
 
-  const commentsAggregate = Comment.aggregate([
-    {
-      $match: {
-        video: new mongoose.Types.ObjectId(videoId),
+  const comments = await paginateWithCursor(Comment, {
+    pipeline: [
+      {
+        $match: {
+          video: new mongoose.Types.ObjectId(videoId),
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "users",
-        localField: "owner",
-        foreignField: "_id",
-        as: "owner",
-        pipeline: [
-          {
-            $project: {
-              username: 1,
-              fullName: 1,
-              avatar: 1,
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
             },
-          },
-        ],
-      },
-    },
-    {
-      $addFields: {
-        owner: {
-          $first: "$owner",
+          ],
         },
       },
-    },
-    {
-      $sort: {
-        createdAt: -1,
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
+        },
       },
-    },
-  ]);
-
-  const options = {
-    page: parseInt(page, 10),
-    limit: parseInt(limit, 10),
-  };
-
-  const comments = await Comment.aggregatePaginate(commentsAggregate, options);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
@@ -106,9 +101,12 @@ const updateComment = asyncHandler(async (req, res) => {
     throw new APIError(404, "Comment not found");
   }
 
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this comment");
-  }
+  authorize(
+    req.user,
+    comment,
+    "comment:update",
+    "You are not authorized to update this comment"
+  );
 
   const updatedComment = await Comment.findByIdAndUpdate(
     commentId,
@@ -138,9 +136,12 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new APIError(404, "Comment not found");
   }
 
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to delete this comment");
-  }
+  authorize(
+    req.user,
+    comment,
+    "comment:delete",
+    "You are not authorized to delete this comment"
+  );
 
   await Comment.findByIdAndDelete(commentId);
 
@@ -5,6 +5,8 @@ import { Like } from "../models/like.model.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { summarizeThumbnailTest } from "../utils/thumbnailTest.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const getChannelStats = asyncHandler(async (req, res) => {
   const channelStats = await Video.aggregate([
@@ -62,63 +64,157 @@ const getChannelStats = asyncHandler(async (req, res) => {
 });
 
 const getChannelVideos = asyncHandler(async (req, res) => {
-  const videos = await Video.aggregate([
-    {
-      $match: {
-        owner: new mongoose.Types.ObjectId(req.user._id),
+  const videos = await paginateWithCursor(Video, {
+    pipeline: [
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(req.user._id),
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "likes",
-        localField: "_id",
-        foreignField: "video",
-        as: "likes",
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "likes",
+          localField: "_id",
+          foreignField: "video",
+          as: "likes",
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "comments",
-        localField: "_id",
-        foreignField: "video",
-        as: "comments",
+      {
+        $lookup: {
+          from: "comments",
+          localField: "_id",
+          foreignField: "video",
+          as: "comments",
+        },
       },
-    },
-    {
-      $addFields: {
-        likesCount: {
-          $size: "$likes",
+      {
+        $addFields: {
+          likesCount: {
+            $size: "$likes",
+          },
+          commentsCount: {
+            $size: "$comments",
+          },
         },
-        commentsCount: {
-          $size: "$comments",
+      },
+      {
+        $project: {
+          videoFile: 1,
+          thumbnail: 1,
+          title: 1,
+          description: 1,
+          tags: 1,
+          category: 1,
+          duration: 1,
+          views: 1,
+          visibility: 1,
+          publishAt: 1,
+          status: 1,
+          processing: {
+            stage: 1,
+            progress: 1,
+            error: 1,
+          },
+          likesCount: 1,
+          commentsCount: 1,
+          createdAt: 1,
+          updatedAt: 1,
         },
       },
-    },
-    {
-      $project: {
-        videoFile: 1,
-        thumbnail: 1,
-        title: 1,
-        description: 1,
-        duration: 1,
-        views: 1,
-        isPublished: 1,
-        likesCount: 1,
-        commentsCount: 1,
-        createdAt: 1,
-        updatedAt: 1,
+    ],
+    query: req.query,
+  });
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+const getScheduledVideos = asyncHandler(async (req, res) => {
+  const videos = await paginateWithCursor(Video, {
+    pipeline: [
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(req.user._id),
+          publishAt: { $gt: new Date() },
+        },
       },
-    },
-    {
-      $sort: {
-        createdAt: -1,
+    ],
+    sort: { publishAt: 1 },
+    stages: [
+      {
+        $project: {
+          title: 1,
+          description: 1,
+          thumbnail: 1,
+          duration: 1,
+          status: 1,
+          visibility: 1,
+          publishAt: 1,
+          createdAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
-    .json(new APIResponse(200, videos, "Channel videos fetched successfully"));
+    .json(
+      new APIResponse(200, videos, "Scheduled videos fetched successfully")
+    );
+});
+
+const getThumbnailTests = asyncHandler(async (req, res) => {
+  const videos = await paginateWithCursor(Video, {
+    pipeline: [
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(req.user._id),
+          "thumbnailTest.status": { $exists: true },
+        },
+      },
+    ],
+    sort: { "thumbnailTest.startedAt": -1 },
+    stages: [
+      {
+        $project: {
+          title: 1,
+          thumbnail: 1,
+          thumbnailTest: 1,
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  const thumbnailTests = {
+    ...videos,
+    docs: videos.docs.map((video) => ({
+      videoId: video._id,
+      title: video.title,
+      thumbnail: video.thumbnail,
+      ...summarizeThumbnailTest(video.thumbnailTest),
+    })),
+  };
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        thumbnailTests,
+        "Thumbnail tests fetched successfully"
+      )
+    );
 });
 
-export { getChannelStats, getChannelVideos };
+export {
+  getChannelStats,
+  getChannelVideos,
+  getScheduledVideos,
+  getThumbnailTests,
+};
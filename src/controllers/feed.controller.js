@@ -0,0 +1,185 @@
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+import { applyThumbnailTests } from "../utils/thumbnailTest.js";
+import { FEED_UNSEEN_WINDOW } from "../constant.js";
+
+const videoFeedMatch = (channelIds, viewerId) => ({
+  owner: { $in: channelIds },
+  ...Video.listableMatch(viewerId),
+  status: "ready",
+});
+
+// New videos and tweets per channel since `since`, busiest channels first
+const countUnseen = async (channelIds, viewerId, since) => {
+  const [videos, tweets] = await Promise.all([
+    Video.aggregate([
+      {
+        $match: {
+          ...videoFeedMatch(channelIds, viewerId),
+          createdAt: { $gt: since },
+        },
+      },
+      { $group: { _id: "$owner", count: { $sum: 1 } } },
+    ]),
+    Tweet.aggregate([
+      {
+        $match: {
+          owner: { $in: channelIds },
+          createdAt: { $gt: since },
+        },
+      },
+      { $group: { _id: "$owner", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counts = new Map();
+
+  for (const [type, entries] of [
+    ["videos", videos],
+    ["tweets", tweets],
+  ]) {
+    for (const entry of entries) {
+      const key = entry._id.toString();
+      const count = counts.get(key) || { videos: 0, tweets: 0 };
+      count[type] = entry.count;
+      counts.set(key, count);
+    }
+  }
+
+  const channels = await User.find({ _id: { $in: [...counts.keys()] } })
+    .select("username fullName avatar")
+    .lean();
+
+  const unseen = channels
+    .map((channel) => ({
+      channel,
+      ...counts.get(channel._id.toString()),
+    }))
+    .sort(
+      (a, b) =>
+        b.videos + b.tweets - (a.videos + a.tweets) ||
+        a.channel.username.localeCompare(b.channel.username)
+    );
+
+  return {
+    since,
+    total: unseen.reduce((sum, entry) => sum + entry.videos + entry.tweets, 0),
+    channels: unseen,
+  };
+};
+
+// Videos and tweets from subscribed channels, newest first. The first page
+// also carries what is new per channel since the previous visit and counts
+// as a visit.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const subscriptions = await Subscription.find({ subscriber: req.user._id })
+    .select("channel")
+    .lean();
+
+  const channelIds = subscriptions.map((subscription) => subscription.channel);
+
+  const feed = await paginateWithCursor(Video, {
+    // each branch is cut down to the page before the union so that only
+    // about `limit` items per collection are read, however many channels
+    pipeline: ({ match, sort, limit }) => [
+      {
+        $match: videoFeedMatch(channelIds, req.user._id),
+      },
+      match,
+      sort,
+      limit,
+      {
+        $project: {
+          type: { $literal: "video" },
+          title: 1,
+          thumbnail: 1,
+          thumbnailTest: 1,
+          duration: 1,
+          views: 1,
+          owner: 1,
+          createdAt: 1,
+        },
+      },
+      {
+        $unionWith: {
+          coll: Tweet.collection.name,
+          pipeline: [
+            {
+              $match: {
+                owner: { $in: channelIds },
+              },
+            },
+            match,
+            sort,
+            limit,
+            {
+              $project: {
+                type: { $literal: "tweet" },
+                content: 1,
+                owner: 1,
+                createdAt: 1,
+              },
+            },
+          ],
+        },
+      },
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  feed.docs = await applyThumbnailTests(feed.docs, req.user._id);
+
+  const isFirstPage = !req.query.after && !req.query.before;
+
+  if (isFirstPage) {
+    const now = new Date();
+    const since =
+      req.user.feedLastVisitedAt ||
+      new Date(now.getTime() - FEED_UNSEEN_WINDOW);
+
+    feed.unseen = await countUnseen(channelIds, req.user._id, since);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { feedLastVisitedAt: now } }
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, feed, "Subscription feed fetched successfully"));
+});
+
+export { getSubscriptionFeed };
@@ -1,8 +1,10 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
@@ -100,66 +102,74 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 });
 
 const getLikedVideos = asyncHandler(async (req, res) => {
-  const likedVideos = await Like.aggregate([
-    {
-      $match: {
-        likedBy: new mongoose.Types.ObjectId(req.user._id),
-        video: { $exists: true },
+  const likedVideos = await paginateWithCursor(Like, {
+    pipeline: [
+      {
+        $match: {
+          likedBy: new mongoose.Types.ObjectId(req.user._id),
+          video: { $exists: true },
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "video",
-        foreignField: "_id",
-        as: "video",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    fullName: 1,
-                    avatar: 1,
+      {
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "video",
+          pipeline: [
+            {
+              $match: Video.viewableMatch(req.user._id),
+            },
+            {
+              $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                  {
+                    $project: {
+                      username: 1,
+                      fullName: 1,
+                      avatar: 1,
+                    },
                   },
-                },
-              ],
+                ],
+              },
             },
-          },
-          {
-            $addFields: {
-              owner: {
-                $first: "$owner",
+            {
+              $addFields: {
+                owner: {
+                  $first: "$owner",
+                },
               },
             },
-          },
-        ],
+          ],
+        },
       },
-    },
-    {
-      $addFields: {
-        video: {
-          $first: "$video",
+      {
+        $addFields: {
+          video: {
+            $first: "$video",
+          },
         },
       },
-    },
-    {
-      $project: {
-        video: 1,
-        createdAt: 1,
+      // likes of videos the user can no longer watch drop out
+      {
+        $match: {
+          video: { $ne: null },
+        },
       },
-    },
-    {
-      $sort: {
-        createdAt: -1,
+      {
+        $project: {
+          video: 1,
+          createdAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    sort: { createdAt: -1 },
+    query: req.query,
+  });
 
   return res
     .status(200)
@@ -0,0 +1,47 @@
+import { APIError } from "../utils/apiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getStorageDriver, guessMimeType } from "../utils/storage/index.js";
+
+// Serves files stored by the local storage driver. Range requests and
+// conditional GETs are handled by res.sendFile.
+const serveLocalMedia = asyncHandler(async (req, res) => {
+  const key = [].concat(req.params.key).join("/");
+  const { expires, signature } = req.query;
+  const driver = getStorageDriver("local");
+
+  if (
+    !driver.isPublicKey(key) &&
+    !driver.verifySignature(key, expires, signature)
+  ) {
+    throw new APIError(403, "Invalid or expired media URL");
+  }
+
+  let filePath;
+  try {
+    filePath = driver.resolvePath(key);
+  } catch (error) {
+    throw new APIError(404, "Media not found");
+  }
+
+  await new Promise((resolve, reject) => {
+    res.sendFile(
+      filePath,
+      {
+        headers: {
+          "Content-Type": guessMimeType(key),
+          "Cache-Control": driver.isPublicKey(key)
+            ? "public, max-age=86400"
+            : "private, no-store",
+        },
+      },
+      (error) => {
+        if (!error || res.headersSent) return resolve();
+        reject(
+          error.status === 404 ? new APIError(404, "Media not found") : error
+        );
+      }
+    );
+  });
+});
+
+export { serveLocalMedia };
@@ -0,0 +1,179 @@
+import { User } from "../models/user.model.js";
+import { OAuthIdentity } from "../models/oauthIdentity.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { completeLogin } from "../utils/login.js";
+import {
+  completeAuthorization,
+  listOAuthProviders,
+  startAuthorization,
+} from "../utils/oauth/index.js";
+import {
+  findOrCreateOAuthUser,
+  linkOAuthIdentity,
+} from "../utils/oauth/accounts.js";
+import { OAUTH_STATE_TTL } from "../constant.js";
+
+// The state also goes into a cookie, so a callback only completes in the
+// browser that started the flow.
+const STATE_COOKIE = "oauthState";
+
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "lax",
+};
+
+const checkStateCookie = (req) => {
+  const { state } = req.body || {};
+
+  if (!state || req.cookies?.[STATE_COOKIE] !== state) {
+    throw new APIError(400, "Login request is invalid or has expired");
+  }
+};
+
+const sendAuthorizationUrl = async (res, providerName, options) => {
+  const { state, authorizationUrl } = await startAuthorization(
+    providerName,
+    options
+  );
+
+  return res
+    .status(200)
+    .cookie(STATE_COOKIE, state, {
+      ...stateCookieOptions,
+      maxAge: OAUTH_STATE_TTL,
+    })
+    .json(
+      new APIResponse(
+        200,
+        { authorizationUrl },
+        "Redirect to the login provider"
+      )
+    );
+};
+
+const getLoginProviders = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        listOAuthProviders(),
+        "Login providers fetched successfully"
+      )
+    );
+});
+
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  return sendAuthorizationUrl(res, req.params.provider, { mode: "login" });
+});
+
+const completeOAuthLogin = asyncHandler(async (req, res) => {
+  checkStateCookie(req);
+
+  const { provider, profile } = await completeAuthorization({
+    ...req.body,
+    mode: "login",
+  });
+
+  const user = await findOrCreateOAuthUser(provider, profile);
+
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  return completeLogin(req, res, user);
+});
+
+const getLinkedProviders = asyncHandler(async (req, res) => {
+  const identities = await OAuthIdentity.find({ user: req.user._id })
+    .sort({ createdAt: 1 })
+    .select("provider email username createdAt");
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        identities,
+        "Linked login providers fetched successfully"
+      )
+    );
+});
+
+const startOAuthLink = asyncHandler(async (req, res) => {
+  return sendAuthorizationUrl(res, req.params.provider, {
+    mode: "link",
+    userId: req.user._id,
+  });
+});
+
+const completeOAuthLink = asyncHandler(async (req, res) => {
+  checkStateCookie(req);
+
+  const { provider, profile } = await completeAuthorization({
+    ...req.body,
+    mode: "link",
+    userId: req.user._id,
+  });
+
+  const identity = await linkOAuthIdentity(req.user._id, provider, profile);
+
+  return res
+    .status(200)
+    .clearCookie(STATE_COOKIE, stateCookieOptions)
+    .json(
+      new APIResponse(
+        200,
+        {
+          provider: identity.provider,
+          email: identity.email,
+          username: identity.username,
+          createdAt: identity.createdAt,
+        },
+        "Login provider linked successfully"
+      )
+    );
+});
+
+const unlinkProvider = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  const identity = await OAuthIdentity.findOne({
+    user: req.user._id,
+    provider,
+  });
+
+  if (!identity) {
+    throw new APIError(404, "Login provider is not linked");
+  }
+
+  const user = await User.findById(req.user._id).select("password");
+  const otherIdentities = await OAuthIdentity.countDocuments({
+    user: req.user._id,
+    _id: { $ne: identity._id },
+  });
+
+  if (!user.password && otherIdentities === 0) {
+    throw new APIError(
+      400,
+      "Set a password before unlinking your only way to log in"
+    );
+  }
+
+  await identity.deleteOne();
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Login provider unlinked successfully"));
+});
+
+export {
+  getLoginProviders,
+  startOAuthLogin,
+  completeOAuthLogin,
+  getLinkedProviders,
+  startOAuthLink,
+  completeOAuthLink,
+  unlinkProvider,
+};
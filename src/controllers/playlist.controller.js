@@ -1,8 +1,11 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { authorize } from "../utils/permissions.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const createPlaylist = asyncHandler(async (req, res) => {
   const { name, description } = req.body;
@@ -33,41 +36,52 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
     throw new APIError(400, "Invalid user ID");
   }
 
-  const playlists = await Playlist.aggregate([
-    {
-      $match: {
-        owner: new mongoose.Types.ObjectId(userId),
-      },
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "videos",
-        foreignField: "_id",
-        as: "videos",
+  const playlists = await paginateWithCursor(Playlist, {
+    pipeline: [
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(userId),
+        },
       },
-    },
-    {
-      $addFields: {
-        totalVideos: {
-          $size: "$videos",
+    ],
+    sort: { updatedAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "videos",
+          localField: "videos",
+          foreignField: "_id",
+          as: "videos",
+          pipeline: [
+            {
+              $match: Video.viewableMatch(req.user._id),
+            },
+          ],
         },
-        totalViews: {
-          $sum: "$videos.views",
+      },
+      {
+        $addFields: {
+          totalVideos: {
+            $size: "$videos",
+          },
+          totalViews: {
+            $sum: "$videos.views",
+          },
         },
       },
-    },
-    {
-      $project: {
-        name: 1,
-        description: 1,
-        totalVideos: 1,
-        totalViews: 1,
-        createdAt: 1,
-        updatedAt: 1,
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          totalVideos: 1,
+          totalViews: 1,
+          createdAt: 1,
+          updatedAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
@@ -96,6 +110,9 @@ const getPlaylistById = asyncHandler(async (req, res) => {
         foreignField: "_id",
         as: "videos",
         pipeline: [
+          {
+            $match: Video.viewableMatch(req.user._id),
+          },
           {
             $lookup: {
               from: "users",
@@ -177,8 +194,17 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
     throw new APIError(404, "Playlist not found");
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this playlist");
+  authorize(
+    req.user,
+    playlist,
+    "playlist:update",
+    "You are not authorized to update this playlist"
+  );
+
+  const video = await Video.findById(videoId);
+
+  if (!video || !video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
   }
 
   if (playlist.videos.includes(videoId)) {
@@ -219,9 +245,12 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     throw new APIError(404, "Playlist not found");
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this playlist");
-  }
+  authorize(
+    req.user,
+    playlist,
+    "playlist:update",
+    "You are not authorized to update this playlist"
+  );
 
   const updatedPlaylist = await Playlist.findByIdAndUpdate(
     playlistId,
@@ -257,9 +286,12 @@ const deletePlaylist = asyncHandler(async (req, res) => {
     throw new APIError(404, "Playlist not found");
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to delete this playlist");
-  }
+  authorize(
+    req.user,
+    playlist,
+    "playlist:delete",
+    "You are not authorized to delete this playlist"
+  );
 
   await Playlist.findByIdAndDelete(playlistId);
 
@@ -286,9 +318,12 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     throw new APIError(404, "Playlist not found");
   }
 
-  if (playlist.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this playlist");
-  }
+  authorize(
+    req.user,
+    playlist,
+    "playlist:update",
+    "You are not authorized to update this playlist"
+  );
 
   const updatedPlaylist = await Playlist.findByIdAndUpdate(
     playlistId,
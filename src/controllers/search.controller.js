@@ -0,0 +1,265 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { applyThumbnailTests } from "../utils/thumbnailTest.js";
+import { getSearchBackend, highlightVideo } from "../utils/search/index.js";
+import { textMatchStages } from "../utils/search/fieldMatch.js";
+import { getSuggestions, logSearchQuery } from "../utils/search/suggestions.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+
+const SEARCH_TYPES = ["videos", "channels", "playlists", "tweets"];
+
+const ownerLookup = {
+  $lookup: {
+    from: "users",
+    localField: "owner",
+    foreignField: "_id",
+    as: "owner",
+    pipeline: [
+      {
+        $project: {
+          username: 1,
+          fullName: 1,
+          avatar: 1,
+        },
+      },
+    ],
+  },
+};
+
+const searchVideos = async (query, viewerId, pagination) => {
+  const match = { ...Video.listableMatch(viewerId), status: "ready" };
+  const search = await getSearchBackend().search(query, { match });
+
+  const videos = await paginateWithCursor(Video, {
+    pipeline: [...search.stages, { $match: match }],
+    sort: { score: -1, views: -1 },
+    stages: [
+      ownerLookup,
+      {
+        $project: {
+          thumbnail: 1,
+          thumbnailTest: 1,
+          title: 1,
+          description: 1,
+          duration: 1,
+          views: 1,
+          tags: 1,
+          category: 1,
+          createdAt: 1,
+          score: 1,
+          owner: {
+            $first: "$owner",
+          },
+        },
+      },
+    ],
+    query: pagination,
+  });
+
+  videos.docs = (await applyThumbnailTests(videos.docs, viewerId)).map(
+    (video) => ({
+      ...video,
+      highlights: highlightVideo(video, search.terms),
+    })
+  );
+
+  return videos;
+};
+
+const searchChannels = (query, viewerId, pagination) =>
+  paginateWithCursor(User, {
+    pipeline: [
+      ...textMatchStages(query),
+      {
+        $lookup: {
+          from: "subscriptions",
+          localField: "_id",
+          foreignField: "channel",
+          as: "subscribers",
+        },
+      },
+      {
+        $addFields: {
+          subscribersCount: {
+            $size: "$subscribers",
+          },
+          isSubscribed: {
+            $in: [viewerId, "$subscribers.subscriber"],
+          },
+        },
+      },
+    ],
+    sort: { score: -1, subscribersCount: -1 },
+    stages: [
+      {
+        $project: {
+          username: 1,
+          fullName: 1,
+          avatar: 1,
+          coverImage: 1,
+          subscribersCount: 1,
+          isSubscribed: 1,
+          score: 1,
+        },
+      },
+    ],
+    query: pagination,
+  });
+
+// Playlists only count and preview the videos the viewer may see
+const searchPlaylists = (query, viewerId, pagination) =>
+  paginateWithCursor(Playlist, {
+    pipeline: textMatchStages(query),
+    sort: { score: -1, updatedAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "videos",
+          localField: "videos",
+          foreignField: "_id",
+          as: "videos",
+          pipeline: [
+            {
+              $match: Video.viewableMatch(viewerId),
+            },
+            {
+              $project: {
+                thumbnail: 1,
+              },
+            },
+          ],
+        },
+      },
+      ownerLookup,
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          totalVideos: {
+            $size: "$videos",
+          },
+          thumbnail: {
+            $first: "$videos.thumbnail",
+          },
+          owner: {
+            $first: "$owner",
+          },
+          updatedAt: 1,
+          score: 1,
+        },
+      },
+    ],
+    query: pagination,
+  });
+
+const searchTweets = (query, viewerId, pagination) =>
+  paginateWithCursor(Tweet, {
+    pipeline: textMatchStages(query),
+    sort: { score: -1, createdAt: -1 },
+    stages: [
+      ownerLookup,
+      {
+        $lookup: {
+          from: "likes",
+          localField: "_id",
+          foreignField: "tweet",
+          as: "likes",
+        },
+      },
+      {
+        $project: {
+          content: 1,
+          createdAt: 1,
+          likesCount: {
+            $size: "$likes",
+          },
+          owner: {
+            $first: "$owner",
+          },
+          score: 1,
+        },
+      },
+    ],
+    query: pagination,
+  });
+
+const searchers = {
+  videos: searchVideos,
+  channels: searchChannels,
+  playlists: searchPlaylists,
+  tweets: searchTweets,
+};
+
+// Results are grouped by type, each with its own cursors. `type` narrows
+// the search to one or more comma separated types; paging further with
+// after/before needs a single type since cursors belong to one list.
+const search = asyncHandler(async (req, res) => {
+  const { q, type, limit, after, before } = req.query;
+
+  if (typeof q !== "string" || q.trim() === "") {
+    throw new APIError(400, "Search query is required");
+  }
+
+  const types = type
+    ? [
+        ...new Set(
+          String(type)
+            .split(",")
+            .map((t) => t.trim())
+        ),
+      ]
+    : SEARCH_TYPES;
+
+  const unknownTypes = types.filter((t) => !SEARCH_TYPES.includes(t));
+
+  if (unknownTypes.length > 0) {
+    throw new APIError(400, `type must be any of: ${SEARCH_TYPES.join(", ")}`);
+  }
+
+  if ((after || before) && types.length > 1) {
+    throw new APIError(400, "Paging with after or before needs a single type");
+  }
+
+  const groups = await Promise.all(
+    types.map((t) =>
+      searchers[t](q.trim(), req.user._id, { limit, after, before })
+    )
+  );
+
+  await logSearchQuery(q);
+
+  const results = Object.fromEntries(
+    types.map((t, index) => [t, groups[index]])
+  );
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, results, "Search results fetched successfully"));
+});
+
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit = 8 } = req.query;
+
+  if (typeof q !== "string" || q.trim() === "") {
+    throw new APIError(400, "Search query is required");
+  }
+
+  const suggestions = await getSuggestions(
+    q,
+    Math.min(Math.max(parseInt(limit, 10) || 8, 1), 20)
+  );
+
+  return res
+    .status(200)
+    .set("Cache-Control", "private, max-age=30")
+    .json(
+      new APIResponse(200, suggestions, "Suggestions fetched successfully")
+    );
+});
+
+export { search, getSearchSuggestions };
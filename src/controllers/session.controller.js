@@ -0,0 +1,82 @@
+import { isValidObjectId } from "mongoose";
+import { Session } from "../models/session.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { revokeSessions } from "../utils/sessions.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+};
+
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .select("device userAgent ip lastSeenAt createdAt expiresAt")
+    .lean();
+
+  return res.status(200).json(
+    new APIResponse(
+      200,
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+      "Sessions fetched successfully"
+    )
+  );
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new APIError(400, "Invalid session ID");
+  }
+
+  const { modifiedCount } = await revokeSessions(
+    { _id: sessionId, user: req.user._id },
+    "revoked"
+  );
+
+  if (modifiedCount === 0) {
+    throw new APIError(404, "Session not found");
+  }
+
+  // revoking the session this request came from signs it out as well
+  if (sessionId === req.sessionId) {
+    res
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Session revoked successfully"));
+});
+
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await revokeSessions(
+    { user: req.user._id },
+    "revoked"
+  );
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(
+      new APIResponse(
+        200,
+        { revoked: modifiedCount },
+        "All sessions revoked successfully"
+      )
+    );
+});
+
+export { getActiveSessions, revokeSession, revokeAllSessions };
@@ -4,6 +4,7 @@ import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { Subscription } from "../models/subscription.model.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const toggleSubscription = asyncHandler(async (req, res) => {
   const { channelId } = req.params;
@@ -54,72 +55,78 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
     throw new APIError(400, "Invalid channel ID");
   }
 
-  const subscribers = await Subscription.aggregate([
-    {
-      $match: {
-        channel: new mongoose.Types.ObjectId(channelId),
+  const subscribers = await paginateWithCursor(Subscription, {
+    pipeline: [
+      {
+        $match: {
+          channel: new mongoose.Types.ObjectId(channelId),
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "users",
-        localField: "subscriber",
-        foreignField: "_id",
-        as: "subscriber",
-        pipeline: [
-          {
-            $lookup: {
-              from: "subscriptions",
-              localField: "_id",
-              foreignField: "channel",
-              as: "subscribedToSubscriber",
-            },
-          },
-          {
-            $addFields: {
-              subscribersCount: {
-                $size: "$subscribedToSubscriber",
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "subscriber",
+          foreignField: "_id",
+          as: "subscriber",
+          pipeline: [
+            {
+              $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribedToSubscriber",
               },
-              isSubscribed: {
-                $cond: {
-                  if: {
-                    $in: [
-                      new mongoose.Types.ObjectId(req.user._id),
-                      "$subscribedToSubscriber.subscriber",
-                    ],
+            },
+            {
+              $addFields: {
+                subscribersCount: {
+                  $size: "$subscribedToSubscriber",
+                },
+                isSubscribed: {
+                  $cond: {
+                    if: {
+                      $in: [
+                        new mongoose.Types.ObjectId(req.user._id),
+                        "$subscribedToSubscriber.subscriber",
+                      ],
+                    },
+                    then: true,
+                    else: false,
                   },
-                  then: true,
-                  else: false,
                 },
               },
             },
-          },
-          {
-            $project: {
-              username: 1,
-              fullName: 1,
-              avatar: 1,
-              subscribersCount: 1,
-              isSubscribed: 1,
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                subscribersCount: 1,
+                isSubscribed: 1,
+              },
             },
-          },
-        ],
+          ],
+        },
       },
-    },
-    {
-      $addFields: {
-        subscriber: {
-          $first: "$subscriber",
+      {
+        $addFields: {
+          subscriber: {
+            $first: "$subscriber",
+          },
         },
       },
-    },
-    {
-      $project: {
-        subscriber: 1,
-        createdAt: 1,
+      {
+        $project: {
+          subscriber: 1,
+          createdAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
@@ -136,59 +143,65 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
     throw new APIError(400, "Invalid subscriber ID");
   }
 
-  const subscribedChannels = await Subscription.aggregate([
-    {
-      $match: {
-        subscriber: new mongoose.Types.ObjectId(subscriberId),
+  const subscribedChannels = await paginateWithCursor(Subscription, {
+    pipeline: [
+      {
+        $match: {
+          subscriber: new mongoose.Types.ObjectId(subscriberId),
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "users",
-        localField: "channel",
-        foreignField: "_id",
-        as: "channel",
-        pipeline: [
-          {
-            $lookup: {
-              from: "subscriptions",
-              localField: "_id",
-              foreignField: "channel",
-              as: "subscribers",
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "channel",
+          foreignField: "_id",
+          as: "channel",
+          pipeline: [
+            {
+              $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+              },
             },
-          },
-          {
-            $addFields: {
-              subscribersCount: {
-                $size: "$subscribers",
+            {
+              $addFields: {
+                subscribersCount: {
+                  $size: "$subscribers",
+                },
               },
             },
-          },
-          {
-            $project: {
-              username: 1,
-              fullName: 1,
-              avatar: 1,
-              subscribersCount: 1,
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                subscribersCount: 1,
+              },
             },
-          },
-        ],
+          ],
+        },
       },
-    },
-    {
-      $addFields: {
-        channel: {
-          $first: "$channel",
+      {
+        $addFields: {
+          channel: {
+            $first: "$channel",
+          },
         },
       },
-    },
-    {
-      $project: {
-        channel: 1,
-        createdAt: 1,
+      {
+        $project: {
+          channel: 1,
+          createdAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
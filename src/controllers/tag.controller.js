@@ -0,0 +1,121 @@
+import { Video } from "../models/video.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { normalizeTag, parseCategory } from "../utils/tags.js";
+import { applyThumbnailTests } from "../utils/thumbnailTest.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+import { VIDEO_CATEGORIES } from "../constant.js";
+
+const getVideosByTag = asyncHandler(async (req, res) => {
+  const tag = normalizeTag(req.params.tag || "");
+
+  if (!tag) {
+    throw new APIError(400, "Invalid tag");
+  }
+
+  const videos = await paginateWithCursor(Video, {
+    pipeline: [
+      {
+        $match: {
+          tags: tag,
+          ...Video.listableMatch(req.user._id),
+          status: "ready",
+        },
+      },
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  videos.docs = await applyThumbnailTests(videos.docs, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, { tag, ...videos }, "Videos fetched successfully")
+    );
+});
+
+const getPopularTags = asyncHandler(async (req, res) => {
+  const { limit = 20 } = req.query;
+  const category = parseCategory(req.query.category);
+
+  const tags = await Video.aggregate([
+    {
+      $match: {
+        ...Video.listableMatch(req.user._id),
+        status: "ready",
+        ...(category && { category }),
+      },
+    },
+    {
+      $unwind: "$tags",
+    },
+    {
+      $group: {
+        _id: "$tags",
+        videoCount: { $sum: 1 },
+        totalViews: { $sum: "$views" },
+      },
+    },
+    {
+      $sort: {
+        videoCount: -1,
+        totalViews: -1,
+        _id: 1,
+      },
+    },
+    {
+      $limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        videoCount: 1,
+        totalViews: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, tags, "Popular tags fetched successfully"));
+});
+
+const getCategories = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, VIDEO_CATEGORIES, "Categories fetched successfully")
+    );
+});
+
+export { getVideosByTag, getPopularTags, getCategories };
@@ -4,6 +4,8 @@ import { User } from "../models/user.model.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { authorize } from "../utils/permissions.js";
+import { paginateWithCursor } from "../utils/pagination.js";
 
 const createTweet = asyncHandler(async (req, res) => {
   const { content } = req.body;
@@ -33,61 +35,62 @@ const getUserTweets = asyncHandler(async (req, res) => {
     throw new APIError(400, "Invalid user ID");
   }
 
-  const tweets = await Tweet.aggregate([
-    {
-      $match: {
-        owner: new mongoose.Types.ObjectId(userId),
+  const tweets = await paginateWithCursor(Tweet, {
+    pipeline: [
+      {
+        $match: {
+          owner: new mongoose.Types.ObjectId(userId),
+        },
       },
-    },
-    {
-      $lookup: {
-        from: "users",
-        localField: "owner",
-        foreignField: "_id",
-        as: "owner",
-        pipeline: [
-          {
-            $project: {
-              username: 1,
-              fullName: 1,
-              avatar: 1,
+    ],
+    sort: { createdAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
             },
-          },
-        ],
-      },
-    },
-    {
-      $lookup: {
-        from: "likes",
-        localField: "_id",
-        foreignField: "tweet",
-        as: "likes",
-      },
-    },
-    {
-      $addFields: {
-        likesCount: {
-          $size: "$likes",
+          ],
         },
-        owner: {
-          $first: "$owner",
+      },
+      {
+        $lookup: {
+          from: "likes",
+          localField: "_id",
+          foreignField: "tweet",
+          as: "likes",
         },
       },
-    },
-    {
-      $sort: {
-        createdAt: -1,
+      {
+        $addFields: {
+          likesCount: {
+            $size: "$likes",
+          },
+          owner: {
+            $first: "$owner",
+          },
+        },
       },
-    },
-    {
-      $project: {
-        content: 1,
-        owner: 1,
-        likesCount: 1,
-        createdAt: 1,
+      {
+        $project: {
+          content: 1,
+          owner: 1,
+          likesCount: 1,
+          createdAt: 1,
+        },
       },
-    },
-  ]);
+    ],
+    query: req.query,
+  });
 
   return res
     .status(200)
@@ -112,9 +115,12 @@ const updateTweet = asyncHandler(async (req, res) => {
     throw new APIError(404, "Tweet not found");
   }
 
-  if (tweet.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this tweet");
-  }
+  authorize(
+    req.user,
+    tweet,
+    "tweet:update",
+    "You are not authorized to update this tweet"
+  );
 
   const updatedTweet = await Tweet.findByIdAndUpdate(
     tweetId,
@@ -144,9 +150,12 @@ const deleteTweet = asyncHandler(async (req, res) => {
     throw new APIError(404, "Tweet not found");
   }
 
-  if (tweet.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to delete this tweet");
-  }
+  authorize(
+    req.user,
+    tweet,
+    "tweet:delete",
+    "You are not authorized to delete this tweet"
+  );
 
   await Tweet.findByIdAndDelete(tweetId);
 
@@ -0,0 +1,166 @@
+import { User } from "../models/user.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { generateTotpSecret, totpUri, verifyTotp } from "../utils/totp.js";
+import {
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import { TOTP_ISSUER } from "../constant.js";
+
+// Turning 2FA off or replacing recovery codes needs the password and a
+// current code, not just a session. Accounts that only log in through a
+// provider have no password, so a current TOTP or recovery code is enough.
+const reauthenticate = async (userId, { password, code }) => {
+  if (!code) {
+    throw new APIError(400, "code is required");
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user.twoFactor?.enabled) {
+    throw new APIError(400, "Two-factor authentication is not enabled");
+  }
+
+  if (user.password) {
+    if (!password) {
+      throw new APIError(400, "password and code are required");
+    }
+
+    if (!(await user.isPasswordCorrect(password))) {
+      throw new APIError(400, "Invalid password");
+    }
+  }
+
+  if (!(await verifySecondFactor(userId, code))) {
+    throw new APIError(400, "Invalid two-factor code");
+  }
+};
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw new APIError(400, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+
+  return res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        secret,
+        otpauthUri: totpUri({
+          secret,
+          account: req.user.email,
+          issuer: TOTP_ISSUER,
+        }),
+      },
+      "Scan the code with an authenticator app, then confirm it"
+    )
+  );
+});
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body || {};
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor?.enabled) {
+    throw new APIError(400, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new APIError(400, "Set up two-factor authentication first");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    throw new APIError(400, "Invalid two-factor code");
+  }
+
+  const { codes, records } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodes": records,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.enabledAt": new Date(),
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled"
+      )
+    );
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  await reauthenticate(req.user._id, req.body || {});
+
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.pendingLogin": 1,
+        "twoFactor.enabledAt": 1,
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  await reauthenticate(req.user._id, req.body || {});
+
+  const { codes, records } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.recoveryCodes": records } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { recoveryCodes: codes },
+        "Recovery codes regenerated"
+      )
+    );
+});
+
+export {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
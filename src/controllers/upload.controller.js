@@ -0,0 +1,329 @@
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { authorize } from "../utils/permissions.js";
+import {
+  parseAllowedViewers,
+  parsePublishAt,
+  parseVisibility,
+  publishVideoFromLocalFiles,
+} from "../utils/videoPublisher.js";
+import { parseCategory, parseTags } from "../utils/tags.js";
+import {
+  TEMP_DIR,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_MAX_FILE_SIZE,
+  UPLOAD_SESSION_TTL,
+} from "../constant.js";
+
+const findActiveUploadSession = async (uploadId, user) => {
+  if (!isValidObjectId(uploadId)) {
+    throw new APIError(400, "Invalid upload ID");
+  }
+
+  const session = await UploadSession.findById(uploadId);
+
+  if (!session) {
+    throw new APIError(404, "Upload session not found");
+  }
+
+  authorize(
+    user,
+    session,
+    "upload:manage",
+    "You are not authorized to access this upload"
+  );
+
+  if (session.status !== "active") {
+    throw new APIError(409, `Upload session is already ${session.status}`);
+  }
+
+  if (session.expiresAt < new Date()) {
+    throw new APIError(410, "Upload session has expired");
+  }
+
+  return session;
+};
+
+// Content-Range: bytes <start>-<end>/<total>
+const parseContentRange = (header) => {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header?.trim() || "");
+
+  if (!match) return null;
+
+  return {
+    start: Number(match[1]),
+    end: Number(match[2]),
+    total: Number(match[3]),
+  };
+};
+
+const startUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, mimeType } = req.body || {};
+
+  if (!fileName || fileName.trim() === "") {
+    throw new APIError(400, "File name is required");
+  }
+
+  const totalSize = Number(fileSize);
+
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new APIError(400, "File size must be a positive integer");
+  }
+
+  if (totalSize > UPLOAD_MAX_FILE_SIZE) {
+    throw new APIError(413, "File is too large");
+  }
+
+  if (mimeType && !mimeType.startsWith("video/")) {
+    throw new APIError(400, "Only video files can be uploaded");
+  }
+
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+
+  const session = new UploadSession({
+    owner: req.user._id,
+    fileName: path.basename(fileName),
+    mimeType: mimeType || "application/octet-stream",
+    totalSize,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    totalChunks: Math.ceil(totalSize / UPLOAD_CHUNK_SIZE),
+    receivedChunks: [],
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL),
+  });
+  session.tempPath = path.join(TEMP_DIR, `${session._id}.part`);
+
+  await fs.promises.writeFile(session.tempPath, "");
+  await session.save();
+
+  return res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        session.getProgress(),
+        "Upload session started successfully"
+      )
+    );
+});
+
+const uploadChunk = asyncHandler(async (req, res) => {
+  const { uploadId, chunkIndex } = req.params;
+
+  const session = await findActiveUploadSession(uploadId, req.user);
+
+  const index = Number(chunkIndex);
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new APIError(400, "Invalid chunk index");
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new APIError(
+      400,
+      "Chunk body is required as application/octet-stream"
+    );
+  }
+
+  const range = parseContentRange(req.header("Content-Range"));
+
+  if (!range) {
+    throw new APIError(
+      400,
+      "Content-Range header is required (bytes <start>-<end>/<total>)"
+    );
+  }
+
+  const expectedOffset = index * session.chunkSize;
+  const expectedLength = session.getChunkLength(index);
+
+  if (
+    range.start !== expectedOffset ||
+    range.end !== expectedOffset + expectedLength - 1 ||
+    range.total !== session.totalSize
+  ) {
+    throw new APIError(
+      416,
+      `Chunk ${index} must cover bytes ${expectedOffset}-${
+        expectedOffset + expectedLength - 1
+      }/${session.totalSize}`
+    );
+  }
+
+  if (req.body.length !== expectedLength) {
+    throw new APIError(400, `Chunk ${index} must be ${expectedLength} bytes`);
+  }
+
+  const fileHandle = await fs.promises.open(session.tempPath, "r+");
+  try {
+    await fileHandle.write(req.body, 0, req.body.length, expectedOffset);
+  } finally {
+    await fileHandle.close();
+  }
+
+  const updatedSession = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active" },
+    {
+      $addToSet: {
+        receivedChunks: index,
+      },
+      $set: {
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL),
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedSession) {
+    throw new APIError(409, "Upload session is no longer active");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        updatedSession.getProgress(),
+        "Chunk uploaded successfully"
+      )
+    );
+});
+
+const getUploadSessionStatus = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (!isValidObjectId(uploadId)) {
+    throw new APIError(400, "Invalid upload ID");
+  }
+
+  const session = await UploadSession.findById(uploadId);
+
+  if (!session) {
+    throw new APIError(404, "Upload session not found");
+  }
+
+  authorize(
+    req.user,
+    session,
+    "upload:manage",
+    "You are not authorized to access this upload"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        session.getProgress(),
+        "Upload status fetched successfully"
+      )
+    );
+});
+
+const abortUploadSession = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  const session = await findActiveUploadSession(uploadId, req.user);
+
+  await fs.promises.rm(session.tempPath, { force: true });
+
+  session.status = "aborted";
+  await session.save();
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Upload aborted successfully"));
+});
+
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const { title, description } = req.body || {};
+
+  const thumbnailLocalPath = req.file?.path;
+
+  // publishing moves the thumbnail away, on any error it is still here
+  try {
+    if (!title || title.trim() === "") {
+      throw new APIError(400, "Video title is required");
+    }
+
+    const publishAt = parsePublishAt(req.body?.publishAt);
+    const visibility = parseVisibility(req.body?.visibility) || "public";
+    const allowedViewers = parseAllowedViewers(req.body?.allowedViewers) || [];
+    const tags = parseTags(req.body?.tags) || [];
+    const category = parseCategory(req.body?.category);
+
+    if (!thumbnailLocalPath) {
+      throw new APIError(400, "Thumbnail is required");
+    }
+
+    const session = await findActiveUploadSession(uploadId, req.user);
+
+    const progress = session.getProgress();
+
+    if (!progress.isComplete) {
+      throw new APIError(
+        409,
+        `Upload is incomplete, ${progress.missingChunks.length} chunk(s) missing`
+      );
+    }
+
+    const { size } = await fs.promises.stat(session.tempPath);
+
+    if (size !== session.totalSize) {
+      throw new APIError(409, "Assembled file size does not match upload size");
+    }
+
+    const videoFileLocalPath = path.join(
+      TEMP_DIR,
+      `${session._id}${path.extname(session.fileName)}`
+    );
+    await fs.promises.rename(session.tempPath, videoFileLocalPath);
+
+    let video;
+    try {
+      video = await publishVideoFromLocalFiles({
+        owner: req.user._id,
+        title,
+        description,
+        videoFileLocalPath,
+        thumbnailLocalPath,
+        publishAt,
+        visibility,
+        allowedViewers,
+        tags,
+        category,
+      });
+    } catch (error) {
+      // the publisher hands the file back, so the session can be completed
+      // again
+      await fs.promises.rename(videoFileLocalPath, session.tempPath);
+      throw error;
+    }
+
+    session.status = "completed";
+    session.tempPath = videoFileLocalPath;
+    session.video = video._id;
+    await session.save();
+
+    return res
+      .status(202)
+      .json(
+        new APIResponse(202, video, "Video uploaded, processing has started")
+      );
+  } finally {
+    fs.rmSync(thumbnailLocalPath || "", { force: true });
+  }
+});
+
+export {
+  startUploadSession,
+  uploadChunk,
+  getUploadSessionStatus,
+  abortUploadSession,
+  completeUploadSession,
+};
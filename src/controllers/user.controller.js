@@ -1,25 +1,25 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { deleteMedia, uploadMedia } from "../utils/storage/index.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
-import jwt from "jsonwebtoken";
-import mongoose from "mongoose";
-
-const generateAccessAndRefreshTokens = async (userId) => {
-  try {
-    const user = await User.findById(userId);
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    user.refreshToken = refreshToken;
-    await user.save();
-
-    return { accessToken, refreshToken };
-  } catch (error) {
-    throw new APIError(500, "Something went wrong while generating tokens");
-  }
-};
+import { revokeSessions, rotateSession } from "../utils/sessions.js";
+import { completeLogin, respondWithSession } from "../utils/login.js";
+import {
+  claimPendingLogin,
+  finishPendingLogin,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import {
+  requestPasswordResetEmail,
+  sendPasswordChangedEmail,
+} from "../utils/passwordReset.js";
+import {
+  consumeUserToken,
+  lastUserTokenIssuedAt,
+} from "../utils/userTokens.js";
+import { EMAIL_VERIFICATION_RESEND_INTERVAL } from "../constant.js";
 
 const registerUser = asyncHandler(async (req, res) => {
   const { fullname, email, username, password } = req.body;
@@ -30,6 +30,11 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new APIError(400, "All fields are required");
   }
 
+  // only accounts created through a login provider go without one
+  if (!password) {
+    throw new APIError(400, "Password is required");
+  }
+
   const existedUser = await User.findOne({
     $or: [{ username }, { email }],
   });
@@ -53,8 +58,10 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new APIError(400, "Avatar image is required");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const avatar = await uploadMedia(avatarLocalPath, { folder: "avatars" });
+  const coverImage = await uploadMedia(coverImageLocalPath, {
+    folder: "cover-images",
+  });
 
   if (!avatar) {
     throw new APIError(500, "Failed to upload avatar image");
@@ -62,28 +69,32 @@ const registerUser = asyncHandler(async (req, res) => {
 
   const user = await User.create({
     fullname,
-    avatar: avatar.url,
-    coverImage: coverImage?.url || "",
+    avatar,
+    coverImage: coverImage || undefined,
     email,
     password,
     username: username.toLowerCase(),
   });
 
-  const createUser = await User.findById(user._id).select(
-    "-password -refreshToken -__v"
-  );
+  const createUser = await User.findById(user._id).select("-password -__v");
 
   if (!createUser) {
     throw new APIError(500, "Something went wrong while creating user");
   }
 
+  // the user can ask for another email if this one fails
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.log("Verification email failed ", error);
+  }
+
   return res
     .status(201)
     .json(new APIResponse(200, createUser, "User registered successfully"));
 });
 
 const loginUser = asyncHandler(async (req, res) => {
-
   const { email, username, password } = req.body;
   console.log(email);
 
@@ -105,48 +116,32 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new APIError(401, "Invalid user credentials");
   }
 
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id
-  );
+  return completeLogin(req, res, user);
+});
 
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+// Second step of the login for accounts with two-factor authentication
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { mfaToken, code } = req.body || {};
 
-  const options = {
-    httpOnly: true,
-    secure: true,
-  };
+  if (!mfaToken || !code) {
+    throw new APIError(400, "mfaToken and code are required");
+  }
 
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
-    .json(
-      new APIResponse(
-        200,
-        {
-          user: loggedInUser,
-          accessToken,
-          refreshToken,
-        },
-        "User logged In Successfully"
-      )
-    );
+  const userId = await claimPendingLogin(mfaToken);
+
+  if (!(await verifySecondFactor(userId, code))) {
+    throw new APIError(401, "Invalid two-factor code");
+  }
+
+  await finishPendingLogin(userId);
+
+  const user = await User.findById(userId);
+
+  return respondWithSession(req, res, user);
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: {
-        refreshToken: 1,
-      },
-    },
-    {
-      new: true,
-    }
-  );
+  await revokeSessions({ _id: req.sessionId }, "logout");
 
   const options = {
     httpOnly: true,
@@ -168,45 +163,36 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new APIError(401, "unauthorized request");
   }
 
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
-    );
-
-    const user = await User.findById(decodedToken?._id);
+  const { accessToken, refreshToken } = await rotateSession(
+    incomingRefreshToken,
+    req
+  );
 
-    if (!user) {
-      throw new APIError(401, "Invalid refresh token");
-    }
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
 
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new APIError(401, "Refresh token is expired or used");
-    }
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new APIResponse(
+        200,
+        { accessToken, refreshToken },
+        "Access token refreshed"
+      )
+    );
+});
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
-
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new APIResponse(
-          200,
-          { accessToken, refreshToken: newRefreshToken },
-          "Access token refreshed"
-        )
-      );
+const notifyPasswordChanged = async (user) => {
+  try {
+    await sendPasswordChangedEmail(user);
   } catch (error) {
-    throw new APIError(401, error?.message || "Invalid refresh token");
+    console.log("Password change email failed ", error);
   }
-});
+};
 
 const changeCurrentPassword = asyncHandler(async (req, res) => {
   const { oldPassword, newPassword } = req.body;
@@ -221,11 +207,80 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save({ validateBeforeSave: false });
 
+  // the device that changed the password stays signed in
+  await revokeSessions(
+    { user: user._id, _id: { $ne: req.sessionId } },
+    "password-change"
+  );
+  await notifyPasswordChanged(user);
+
   return res
     .status(200)
     .json(new APIResponse(200, {}, "Password changed successfully"));
 });
 
+// Answers the same way whether or not the account exists.
+const requestPasswordReset = asyncHandler(async (req, res) => {
+  const { email } = req.body || {};
+
+  if (typeof email !== "string" || email.trim() === "") {
+    throw new APIError(400, "email is required");
+  }
+
+  // not awaited, so the response time does not give the account away
+  requestPasswordResetEmail(email.trim().toLowerCase()).catch((error) =>
+    console.log("Password reset email failed ", error)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        {},
+        "If an account uses that email, a reset link has been sent to it"
+      )
+    );
+});
+
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body || {};
+
+  if (
+    typeof token !== "string" ||
+    token === "" ||
+    typeof newPassword !== "string" ||
+    newPassword.trim() === ""
+  ) {
+    throw new APIError(400, "token and newPassword are required");
+  }
+
+  const userToken = await consumeUserToken(token, "reset-password");
+
+  if (!userToken) {
+    throw new APIError(400, "Reset link is invalid or has expired");
+  }
+
+  const user = await User.findById(userToken.user);
+
+  // the link only counts for the address it was sent to
+  if (!user || user.email !== userToken.email) {
+    throw new APIError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  // following the link proves the user reads mail at this address
+  user.emailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeSessions({ user: user._id }, "password-change");
+  await notifyPasswordChanged(user);
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Password reset successfully"));
+});
+
 const getCurrentUser = asyncHandler(async (req, res) => {
   return res
     .status(200)
@@ -239,22 +294,91 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     throw new APIError(400, "All fields are required");
   }
 
+  // a new address has to be confirmed again
+  const emailChanged = email.trim().toLowerCase() !== req.user.email;
+
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
       $set: {
         fullName,
         email: email,
+        ...(emailChanged && { emailVerified: false }),
       },
     },
     { new: true }
   ).select("-password");
 
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.log("Verification email failed ", error);
+    }
+  }
+
   return res
     .status(200)
     .json(new APIResponse(200, user, "Account details updated successfully"));
 });
 
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body || {};
+
+  if (!token) {
+    throw new APIError(400, "Verification token is required");
+  }
+
+  const userToken = await consumeUserToken(token, "verify-email");
+
+  if (!userToken) {
+    throw new APIError(400, "Verification link is invalid or has expired");
+  }
+
+  // the link only counts for the address it was sent to
+  const user = await User.findOneAndUpdate(
+    { _id: userToken.user, email: userToken.email },
+    { $set: { emailVerified: true } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new APIError(
+      400,
+      "Email address has changed since the link was sent"
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, user, "Email verified successfully"));
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new APIError(400, "Email is already verified");
+  }
+
+  const lastSentAt = await lastUserTokenIssuedAt(req.user._id, "verify-email");
+  const wait = lastSentAt
+    ? lastSentAt.getTime() + EMAIL_VERIFICATION_RESEND_INTERVAL - Date.now()
+    : 0;
+
+  if (wait > 0) {
+    res.set("Retry-After", String(Math.ceil(wait / 1000)));
+    throw new APIError(
+      429,
+      "Verification email was sent recently, try again later"
+    );
+  }
+
+  await sendVerificationEmail(req.user);
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Verification email sent"));
+});
+
 const updateUserAvatar = asyncHandler(async (req, res) => {
   const avatarLocalPath = req.file?.path;
 
@@ -262,11 +386,9 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new APIError(400, "Avatar file is missing");
   }
 
-  //TODO: delete old image - assignment
+  const avatar = await uploadMedia(avatarLocalPath, { folder: "avatars" });
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-
-  if (!avatar.url) {
+  if (!avatar) {
     throw new APIError(400, "Error while uploading on avatar");
   }
 
@@ -274,12 +396,14 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        avatar: avatar.url,
+        avatar,
       },
     },
     { new: true }
   ).select("-password");
 
+  await deleteMedia(req.user.avatar);
+
   return res
     .status(200)
     .json(new APIResponse(200, user, "Avatar image updated successfully"));
@@ -292,11 +416,11 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new APIError(400, "Cover image file is missing");
   }
 
-  //TODO: delete old image - assignment
-
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await uploadMedia(coverImageLocalPath, {
+    folder: "cover-images",
+  });
 
-  if (!coverImage.url) {
+  if (!coverImage) {
     throw new APIError(400, "Error while uploading on avatar");
   }
 
@@ -304,12 +428,14 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        coverImage: coverImage.url,
+        coverImage,
       },
     },
     { new: true }
   ).select("-password");
 
+  await deleteMedia(req.user.coverImage);
+
   return res
     .status(200)
     .json(new APIResponse(200, user, "Cover image updated successfully"));
@@ -386,70 +512,20 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     );
 });
 
-const getWatchHistory = asyncHandler(async (req, res) => {
-  const user = await User.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(req.user._id),
-      },
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "watchHistory",
-        foreignField: "_id",
-        as: "watchHistory",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    fullName: 1,
-                    username: 1,
-                    avatar: 1,
-                  },
-                },
-              ],
-            },
-          },
-          {
-            $addFields: {
-              owner: {
-                $first: "$owner",
-              },
-            },
-          },
-        ],
-      },
-    },
-  ]);
-
-  return res
-    .status(200)
-    .json(
-      new APIResponse(
-        200,
-        user[0].watchHistory,
-        "Watch history fetched successfully"
-      )
-    );
-});
-
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   refreshAccessToken,
   changeCurrentPassword,
+  requestPasswordReset,
+  resetPassword,
   getCurrentUser,
   updateAccountDetails,
+  verifyEmail,
+  resendVerificationEmail,
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
-  getWatchHistory,
 };
@@ -1,151 +1,304 @@
+import fs from "fs";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
 import { User } from "../models/user.model.js";
+import { Caption } from "../models/caption.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
 import { APIError } from "../utils/apiError.js";
 import { APIResponse } from "../utils/apiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { authorize } from "../utils/permissions.js";
+import {
+  deleteMedia,
+  getSignedMediaUrl,
+  getStorageDriver,
+  guessMimeType,
+  uploadMedia,
+} from "../utils/storage/index.js";
+import { parseRangeHeader } from "../utils/httpRange.js";
+import {
+  applyThumbnailTests,
+  recordThumbnailClick,
+  summarizeThumbnailTest,
+} from "../utils/thumbnailTest.js";
+import {
+  THUMBNAIL_TEST_SAMPLE_SIZE,
+  TRENDING_LIST_SIZE,
+  TRENDING_PER_CHANNEL,
+} from "../constant.js";
+import {
+  chaptersFromDescription,
+  parseTimestamp,
+  validateChapters,
+} from "../utils/chapters.js";
+import {
+  parseAllowedViewers,
+  parsePublishAt,
+  parseVisibility,
+  publishVideoFromLocalFiles,
+} from "../utils/videoPublisher.js";
+import { parseCategory, parseTags } from "../utils/tags.js";
+import {
+  getSearchBackend,
+  highlightVideo,
+  indexVideoForSearch,
+  removeVideoFromSearch,
+} from "../utils/search/index.js";
+import { logSearchQuery } from "../utils/search/suggestions.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import { recommendVideos } from "../utils/recommendations.js";
+import { parseVideoListQuery } from "../utils/videoFilters.js";
 
 const getAllVideos = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, query, sortBy, sortType, userId } = req.query;
+  const { query, userId } = req.query;
 
-  const pipeline = [];
+  const filters = parseVideoListQuery(req.query);
 
-  // Match stage for search query
-  if (query) {
-    pipeline.push({
-      $search: {
-        index: "search-videos",
-        text: {
-          query: query,
-          path: ["title", "description"],
-        },
-      },
-    });
-  }
+  // Match on userId and the other filters, then on visible videos that
+  // finished processing; creators browsing their own channel also see
+  // unlisted and private uploads
+  const isOwnChannel = userId && userId === req.user._id.toString();
 
-  // Match stage for userId filter
-  if (userId) {
-    if (!isValidObjectId(userId)) {
-      throw new APIError(400, "Invalid user ID");
-    }
-    pipeline.push({
-      $match: {
-        owner: new mongoose.Types.ObjectId(userId),
+  const match = {
+    $and: [
+      {
+        ...(userId && { owner: new mongoose.Types.ObjectId(userId) }),
+        ...filters.match,
       },
-    });
-  }
+      {
+        ...(isOwnChannel ? {} : Video.listableMatch(req.user._id)),
+        status: "ready",
+      },
+    ],
+  };
 
-  // Match stage for published videos only
-  pipeline.push({
-    $match: {
-      isPublished: true,
-    },
-  });
+  const pipeline = [];
 
-  // Sort stage
-  const sortOptions = {};
-  if (sortBy && sortType) {
-    sortOptions[sortBy] = sortType === "asc" ? 1 : -1;
-  } else {
-    sortOptions.createdAt = -1;
+  // Search stages for the query; they keep matching videos with a `score`
+  let searchTerms = null;
+  if (query) {
+    const search = await getSearchBackend().search(query, { match });
+    pipeline.push(...search.stages);
+    searchTerms = search.terms;
+
+    await logSearchQuery(query);
   }
 
-  pipeline.push({
-    $sort: sortOptions,
-  });
+  pipeline.push({ $match: match }, ...filters.stages);
 
-  // Lookup owner details
-  pipeline.push(
-    {
-      $lookup: {
-        from: "users",
-        localField: "owner",
-        foreignField: "_id",
-        as: "owner",
-        pipeline: [
-          {
-            $project: {
-              username: 1,
-              fullName: 1,
-              avatar: 1,
+  const videos = await paginateWithCursor(Video, {
+    pipeline,
+    sort: filters.sort,
+    // Lookup owner details
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
             },
-          },
-        ],
+          ],
+        },
       },
-    },
-    {
-      $addFields: {
-        owner: {
-          $first: "$owner",
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
         },
       },
-    }
-  );
-
-  const videoAggregate = Video.aggregate(pipeline);
+    ],
+    query: req.query,
+  });
 
-  const options = {
-    page: parseInt(page, 10),
-    limit: parseInt(limit, 10),
-  };
+  videos.docs = await applyThumbnailTests(videos.docs, req.user._id);
 
-  const videos = await Video.aggregatePaginate(videoAggregate, options);
+  if (searchTerms) {
+    videos.docs = videos.docs.map((video) => ({
+      ...video,
+      highlights: highlightVideo(video, searchTerms),
+    }));
+  }
 
   return res
     .status(200)
     .json(new APIResponse(200, videos, "Videos fetched successfully"));
 });
 
-const publishAVideo = asyncHandler(async (req, res) => {
-  const { title, description } = req.body;
+// Reads the scores precomputed by the trending job; visibility is checked
+// again here since it may have changed since the last run.
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const { category, perChannel } = req.query;
 
-  if (!title || title.trim() === "") {
-    throw new APIError(400, "Video title is required");
+  const channelCap =
+    perChannel !== undefined ? Number(perChannel) : TRENDING_PER_CHANNEL;
+
+  if (!Number.isInteger(channelCap) || channelCap < 1) {
+    throw new APIError(400, "perChannel must be a positive whole number");
   }
 
+  const categoryFilter = category ? parseCategory(category) : null;
+
+  const trending = await paginateWithCursor(TrendingScore, {
+    pipeline: [
+      {
+        $match: categoryFilter
+          ? {
+              category: categoryFilter,
+              channelCategoryRank: { $lte: channelCap },
+            }
+          : { channelRank: { $lte: channelCap } },
+      },
+      {
+        $sort: {
+          score: -1,
+        },
+      },
+      {
+        $limit: TRENDING_LIST_SIZE,
+      },
+      {
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "video",
+          pipeline: [
+            {
+              $match: {
+                ...Video.listableMatch(req.user._id),
+                status: "ready",
+              },
+            },
+            {
+              $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                thumbnailTest: 1,
+                duration: 1,
+                views: 1,
+                tags: 1,
+                category: 1,
+                owner: 1,
+                createdAt: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $match: {
+          "video.0": { $exists: true },
+        },
+      },
+      {
+        $replaceWith: {
+          $mergeObjects: [{ $first: "$video" }, { score: "$score" }],
+        },
+      },
+    ],
+    sort: { score: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  trending.docs = await applyThumbnailTests(trending.docs, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, trending, "Trending videos fetched successfully")
+    );
+});
+
+const publishAVideo = asyncHandler(async (req, res) => {
   const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
   const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
 
-  if (!videoFileLocalPath) {
-    throw new APIError(400, "Video file is required");
-  }
+  // publishing moves the files away, whatever is left here was not used
+  try {
+    const { title, description } = req.body;
 
-  if (!thumbnailLocalPath) {
-    throw new APIError(400, "Thumbnail is required");
-  }
+    if (!title || title.trim() === "") {
+      throw new APIError(400, "Video title is required");
+    }
 
-  const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    const publishAt = parsePublishAt(req.body.publishAt);
+    const visibility = parseVisibility(req.body.visibility) || "public";
+    const allowedViewers = parseAllowedViewers(req.body.allowedViewers) || [];
+    const tags = parseTags(req.body.tags) || [];
+    const category = parseCategory(req.body.category);
 
-  if (!videoFile) {
-    throw new APIError(500, "Failed to upload video file");
-  }
+    if (!videoFileLocalPath) {
+      throw new APIError(400, "Video file is required");
+    }
 
-  if (!thumbnail) {
-    throw new APIError(500, "Failed to upload thumbnail");
-  }
+    if (!thumbnailLocalPath) {
+      throw new APIError(400, "Thumbnail is required");
+    }
 
-  const video = await Video.create({
-    videoFile: videoFile.url,
-    thumbnail: thumbnail.url,
-    title,
-    description: description || "",
-    duration: videoFile.duration || 0,
-    views: 0,
-    isPublished: true,
-    owner: req.user._id,
-  });
+    const video = await publishVideoFromLocalFiles({
+      owner: req.user._id,
+      title,
+      description,
+      videoFileLocalPath,
+      thumbnailLocalPath,
+      publishAt,
+      visibility,
+      allowedViewers,
+      tags,
+      category,
+    });
 
-  if (!video) {
-    throw new APIError(500, "Failed to publish video");
+    return res
+      .status(202)
+      .json(
+        new APIResponse(202, video, "Video uploaded, processing has started")
+      );
+  } finally {
+    fs.rmSync(videoFileLocalPath || "", { force: true });
+    fs.rmSync(thumbnailLocalPath || "", { force: true });
   }
-
-  return res
-    .status(201)
-    .json(new APIResponse(201, video, "Video published successfully"));
 });
 
+// Share of the video after which it counts as finished
+const RESUME_FINISHED_RATIO = 0.95;
+
 const getVideoById = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
 
@@ -159,6 +312,9 @@ const getVideoById = asyncHandler(async (req, res) => {
         _id: new mongoose.Types.ObjectId(videoId),
       },
     },
+    {
+      $match: Video.viewableMatch(req.user?._id),
+    },
     {
       $lookup: {
         from: "likes",
@@ -167,6 +323,43 @@ const getVideoById = asyncHandler(async (req, res) => {
         as: "likes",
       },
     },
+    {
+      $lookup: {
+        from: "captions",
+        localField: "_id",
+        foreignField: "video",
+        as: "captions",
+        pipeline: [
+          {
+            $project: {
+              _id: 0,
+              language: 1,
+              label: 1,
+            },
+          },
+          {
+            $sort: {
+              language: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: "watchhistories",
+        localField: "_id",
+        foreignField: "video",
+        as: "watchHistory",
+        pipeline: [
+          {
+            $match: {
+              user: new mongoose.Types.ObjectId(req.user._id),
+            },
+          },
+        ],
+      },
+    },
     {
       $lookup: {
         from: "users",
@@ -223,19 +416,56 @@ const getVideoById = asyncHandler(async (req, res) => {
             else: false,
           },
         },
+        // start over once the last viewing got close to the end
+        resumePosition: {
+          $let: {
+            vars: {
+              position: {
+                $ifNull: [{ $first: "$watchHistory.position" }, 0],
+              },
+            },
+            in: {
+              $cond: {
+                if: {
+                  $and: [
+                    { $gt: ["$duration", 0] },
+                    {
+                      $gte: [
+                        "$$position",
+                        { $multiply: ["$duration", RESUME_FINISHED_RATIO] },
+                      ],
+                    },
+                  ],
+                },
+                then: 0,
+                else: "$$position",
+              },
+            },
+          },
+        },
       },
     },
     {
       $project: {
         videoFile: 1,
         thumbnail: 1,
+        poster: 1,
         title: 1,
         description: 1,
+        tags: 1,
+        category: 1,
+        chapters: 1,
+        captions: 1,
         duration: 1,
+        width: 1,
+        height: 1,
+        status: 1,
+        visibility: 1,
         views: 1,
         owner: 1,
         likesCount: 1,
         isLiked: 1,
+        resumePosition: 1,
         createdAt: 1,
         updatedAt: 1,
       },
@@ -246,6 +476,15 @@ const getVideoById = asyncHandler(async (req, res) => {
     throw new APIError(404, "Video not found");
   }
 
+  // opened from a feed item that was part of a thumbnail test
+  if (req.query.impression) {
+    await recordThumbnailClick(
+      video[0]._id,
+      req.query.impression,
+      req.user._id
+    );
+  }
+
   // Increment views
   await Video.findByIdAndUpdate(videoId, {
     $inc: {
@@ -258,6 +497,174 @@ const getVideoById = asyncHandler(async (req, res) => {
     .json(new APIResponse(200, video[0], "Video fetched successfully"));
 });
 
+const getVideoRecommendations = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { limit = 10 } = req.query;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video || !video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
+  }
+
+  const recommendations = await recommendVideos(video, req.user, {
+    limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        await applyThumbnailTests(recommendations, req.user._id),
+        "Recommendations fetched successfully"
+      )
+    );
+});
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select("owner status processing");
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to view this video"
+  );
+
+  const processingStatus = {
+    videoId: video._id,
+    status: video.status,
+    stage: video.processing?.stage,
+    progress: video.status === "ready" ? 100 : video.processing?.progress || 0,
+    error: video.processing?.error,
+    startedAt: video.processing?.startedAt,
+    completedAt: video.processing?.completedAt,
+  };
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        processingStatus,
+        "Video processing status fetched successfully"
+      )
+    );
+});
+
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner visibility allowedViewers publishAt status videoFile"
+  );
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  if (!video.canBeViewedBy(req.user._id)) {
+    throw new APIError(403, "This video is not available");
+  }
+
+  if (video.status !== "ready" || !video.videoFile) {
+    throw new APIError(409, "Video is not ready for playback yet");
+  }
+
+  const cacheControl =
+    video.isReleased() && video.visibility !== "private"
+      ? "private, max-age=3600"
+      : "private, no-cache";
+
+  // remote providers serve ranges themselves, hand out a short-lived URL
+  if (video.videoFile.provider !== "local") {
+    const signedUrl = await getSignedMediaUrl(video.videoFile, {
+      expiresIn: 3600,
+    });
+    res.set("Cache-Control", "private, no-store");
+    return res.redirect(302, signedUrl);
+  }
+
+  const filePath = getStorageDriver("local").resolvePath(video.videoFile.key);
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new APIError(404, "Video file not found");
+  }
+
+  const fileSize = stats.size;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type":
+      video.videoFile.mimeType || guessMimeType(video.videoFile.key),
+    "Cache-Control": cacheControl,
+    "Last-Modified": stats.mtime.toUTCString(),
+    ETag: `"${fileSize.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // a stale If-Range validator means the client must get the whole file
+  const ifRange = req.header("If-Range");
+  const isRangeValid =
+    !ifRange ||
+    ifRange === res.get("ETag") ||
+    ifRange === res.get("Last-Modified");
+  const range = isRangeValid
+    ? parseRangeHeader(req.header("Range"), fileSize)
+    : null;
+
+  if (range === -1) {
+    return res
+      .status(416)
+      .set("Content-Range", `bytes */${fileSize}`)
+      .json(new APIResponse(416, null, "Requested range not satisfiable"));
+  }
+
+  const { start, end } = range || { start: 0, end: fileSize - 1 };
+
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${fileSize}`);
+  } else {
+    res.status(200);
+  }
+
+  res.set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD" || fileSize === 0) {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on("error", (error) => res.destroy(error));
+  req.on("close", () => stream.destroy());
+  stream.pipe(res);
+});
+
 const updateVideo = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
   const { title, description } = req.body;
@@ -276,27 +683,211 @@ const updateVideo = asyncHandler(async (req, res) => {
     throw new APIError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this video");
-  }
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
+  const publishAt =
+    req.body.publishAt !== undefined
+      ? parsePublishAt(req.body.publishAt)
+      : undefined;
+  const tags = parseTags(req.body.tags);
+  const category =
+    req.body.category !== undefined
+      ? parseCategory(req.body.category)
+      : undefined;
 
   const thumbnailLocalPath = req.file?.path;
 
   let thumbnail;
   if (thumbnailLocalPath) {
-    thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    thumbnail = await uploadMedia(thumbnailLocalPath, {
+      folder: "thumbnails",
+    });
     if (!thumbnail) {
       throw new APIError(500, "Failed to upload thumbnail");
     }
   }
 
+  const update = {
+    $set: {
+      title,
+      description: description || video.description,
+      thumbnail: thumbnail || video.thumbnail,
+    },
+    $unset: {},
+  };
+
+  if (description && video.chaptersSource !== "manual") {
+    update.$set.chapters = chaptersFromDescription(description, video.duration);
+  }
+
+  // publishAt: a future date (re)schedules the video, an empty value
+  // releases it right away
+  if (publishAt !== undefined) {
+    if (publishAt) {
+      update.$set.publishAt = publishAt;
+    } else {
+      update.$unset.publishAt = 1;
+    }
+  }
+
+  if (tags) {
+    update.$set.tags = tags;
+  }
+
+  // an empty category clears it
+  if (category !== undefined) {
+    if (category) {
+      update.$set.category = category;
+    } else {
+      update.$unset.category = 1;
+    }
+  }
+
+  const updatedVideo = await Video.findByIdAndUpdate(videoId, update, {
+    new: true,
+  });
+
+  if (thumbnail) {
+    await deleteMedia(video.thumbnail);
+  }
+
+  await indexVideoForSearch(updatedVideo);
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, updatedVideo, "Video updated successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  authorize(
+    req.user,
+    video,
+    "video:delete",
+    "You are not authorized to delete this video"
+  );
+
+  await Video.findByIdAndDelete(videoId);
+
+  await Caption.deleteMany({ video: video._id });
+  await WatchHistory.deleteMany({ video: video._id });
+  await removeVideoFromSearch(video._id);
+
+  // uploads still waiting for the processing worker
+  fs.rmSync(video.processing?.sourcePath || "", { force: true });
+  fs.rmSync(video.processing?.thumbnailPath || "", { force: true });
+
+  // a finished thumbnail test's winner is also the thumbnail, so assets are
+  // deleted once per key
+  const assets = new Map(
+    [
+      video.videoFile,
+      video.thumbnail,
+      video.poster,
+      ...(video.thumbnailTest?.candidates || []).map(
+        (candidate) => candidate.asset
+      ),
+    ]
+      .filter((asset) => asset?.key)
+      .map((asset) => [`${asset.provider}:${asset.key}`, asset])
+  );
+
+  for (const asset of assets.values()) {
+    await deleteMedia(asset);
+  }
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Video deleted successfully"));
+});
+
+const getVideoChapters = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video || !video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
+  }
+
+  return res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        chapters: video.chapters,
+        source: video.chaptersSource,
+      },
+      "Video chapters fetched successfully"
+    )
+  );
+});
+
+const updateVideoChapters = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { chapters } = req.body || {};
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  if (!Array.isArray(chapters)) {
+    throw new APIError(400, "chapters must be an array");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
+  // start times may be sent as seconds or as "mm:ss" / "h:mm:ss"
+  const normalizedChapters = chapters.map((chapter) => ({
+    title: String(chapter?.title || "").trim(),
+    startTime:
+      typeof chapter?.startTime === "number"
+        ? chapter.startTime
+        : parseTimestamp(chapter?.startTime ?? ""),
+  }));
+
+  const errors = validateChapters(normalizedChapters, video.duration);
+
+  if (errors.length > 0) {
+    throw new APIError(400, "Invalid chapters", errors);
+  }
+
   const updatedVideo = await Video.findByIdAndUpdate(
     videoId,
     {
       $set: {
-        title,
-        description: description || video.description,
-        thumbnail: thumbnail?.url || video.thumbnail,
+        chapters: normalizedChapters,
+        chaptersSource: "manual",
       },
     },
     { new: true }
@@ -304,10 +895,20 @@ const updateVideo = asyncHandler(async (req, res) => {
 
   return res
     .status(200)
-    .json(new APIResponse(200, updatedVideo, "Video updated successfully"));
+    .json(
+      new APIResponse(
+        200,
+        {
+          chapters: updatedVideo.chapters,
+          source: updatedVideo.chaptersSource,
+        },
+        "Video chapters updated successfully"
+      )
+    );
 });
 
-const deleteVideo = asyncHandler(async (req, res) => {
+// Drops manually set chapters and goes back to the ones in the description.
+const resetVideoChapters = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
 
   if (!isValidObjectId(videoId)) {
@@ -320,15 +921,205 @@ const deleteVideo = asyncHandler(async (req, res) => {
     throw new APIError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to delete this video");
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
+  const updatedVideo = await Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        chapters: chaptersFromDescription(video.description, video.duration),
+        chaptersSource: "description",
+      },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        {
+          chapters: updatedVideo.chapters,
+          source: updatedVideo.chaptersSource,
+        },
+        "Video chapters reset successfully"
+      )
+    );
+});
+
+const startThumbnailTest = asyncHandler(async (req, res) => {
+  const thumbnailLocalPaths = (req.files || []).map((file) => file.path);
+
+  // uploadMedia removes the files it stores, this covers the error paths
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+      throw new APIError(400, "Invalid video ID");
+    }
+
+    if (thumbnailLocalPaths.length < 2 || thumbnailLocalPaths.length > 3) {
+      throw new APIError(400, "Upload two or three candidate thumbnails");
+    }
+
+    const sampleSize = req.body.sampleSize
+      ? Number(req.body.sampleSize)
+      : THUMBNAIL_TEST_SAMPLE_SIZE;
+
+    if (!Number.isInteger(sampleSize) || sampleSize < 100) {
+      throw new APIError(400, "sampleSize must be an integer of at least 100");
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new APIError(404, "Video not found");
+    }
+
+    authorize(
+      req.user,
+      video,
+      "video:update",
+      "You are not authorized to update this video"
+    );
+
+    if (video.thumbnailTest?.status === "running") {
+      throw new APIError(409, "A thumbnail test is already running");
+    }
+
+    const candidates = [];
+    for (const thumbnailLocalPath of thumbnailLocalPaths) {
+      const asset = await uploadMedia(thumbnailLocalPath, {
+        folder: "thumbnails",
+      });
+      if (asset) candidates.push({ asset });
+    }
+
+    if (candidates.length !== thumbnailLocalPaths.length) {
+      for (const candidate of candidates) {
+        await deleteMedia(candidate.asset);
+      }
+      throw new APIError(500, "Failed to upload thumbnails");
+    }
+
+    const updatedVideo = await Video.findByIdAndUpdate(
+      videoId,
+      {
+        $set: {
+          thumbnailTest: {
+            status: "running",
+            candidates,
+            sampleSize,
+            startedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+
+    return res
+      .status(201)
+      .json(
+        new APIResponse(
+          201,
+          summarizeThumbnailTest(updatedVideo.thumbnailTest),
+          "Thumbnail test started successfully"
+        )
+      );
+  } finally {
+    for (const thumbnailLocalPath of thumbnailLocalPaths) {
+      fs.rmSync(thumbnailLocalPath, { force: true });
+    }
+  }
+});
+
+const getThumbnailTest = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select("owner thumbnailTest");
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to view this video"
+  );
+
+  const thumbnailTest = summarizeThumbnailTest(video.thumbnailTest);
+
+  if (!thumbnailTest) {
+    throw new APIError(404, "This video has no thumbnail test");
   }
 
-  await Video.findByIdAndDelete(videoId);
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, thumbnailTest, "Thumbnail test fetched successfully")
+    );
+});
+
+const cancelThumbnailTest = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select("owner thumbnailTest");
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
+  }
+
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
+  const cancelledVideo = await Video.findOneAndUpdate(
+    { _id: videoId, "thumbnailTest.status": "running" },
+    {
+      $set: {
+        "thumbnailTest.status": "cancelled",
+        "thumbnailTest.completedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!cancelledVideo) {
+    throw new APIError(409, "No thumbnail test is running");
+  }
+
+  for (const candidate of cancelledVideo.thumbnailTest.candidates) {
+    await deleteMedia(candidate.asset);
+  }
 
   return res
     .status(200)
-    .json(new APIResponse(200, {}, "Video deleted successfully"));
+    .json(
+      new APIResponse(
+        200,
+        summarizeThumbnailTest(cancelledVideo.thumbnailTest),
+        "Thumbnail test cancelled successfully"
+      )
+    );
 });
 
 const togglePublishStatus = asyncHandler(async (req, res) => {
@@ -344,15 +1135,74 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
     throw new APIError(404, "Video not found");
   }
 
-  if (video.owner.toString() !== req.user._id.toString()) {
-    throw new APIError(403, "You are not authorized to update this video");
+  const isPublic = video.visibility === "public" && video.isReleased();
+
+  // moderators may take a public video down, but never publish one
+  authorize(
+    req.user,
+    video,
+    isPublic ? "video:take-down" : "video:publish",
+    "You are not authorized to update this video"
+  );
+
+  const updatedVideo = await Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        visibility: isPublic ? "private" : "public",
+      },
+      // publishing or unpublishing by hand overrides any schedule
+      $unset: {
+        publishAt: 1,
+      },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        updatedVideo,
+        `Video ${isPublic ? "unpublished" : "published"} successfully`
+      )
+    );
+});
+
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const visibility = parseVisibility(req.body?.visibility);
+  const allowedViewers = parseAllowedViewers(req.body?.allowedViewers);
+
+  if (!visibility && !allowedViewers) {
+    throw new APIError(400, "visibility or allowedViewers is required");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new APIError(404, "Video not found");
   }
 
+  authorize(
+    req.user,
+    video,
+    "video:update",
+    "You are not authorized to update this video"
+  );
+
   const updatedVideo = await Video.findByIdAndUpdate(
     videoId,
     {
       $set: {
-        isPublished: !video.isPublished,
+        ...(visibility && { visibility }),
+        ...(allowedViewers && { allowedViewers }),
       },
     },
     { new: true }
@@ -364,18 +1214,27 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
       new APIResponse(
         200,
         updatedVideo,
-        `Video ${
-          updatedVideo.isPublished ? "published" : "unpublished"
-        } successfully`
+        "Video visibility updated successfully"
       )
     );
 });
 
 export {
   getAllVideos,
+  getTrendingVideos,
+  getVideoRecommendations,
   publishAVideo,
   getVideoById,
+  getVideoProcessingStatus,
+  streamVideo,
   updateVideo,
   deleteVideo,
   togglePublishStatus,
+  updateVideoVisibility,
+  getVideoChapters,
+  updateVideoChapters,
+  resetVideoChapters,
+  startThumbnailTest,
+  getThumbnailTest,
+  cancelThumbnailTest,
 };
@@ -0,0 +1,247 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { APIError } from "../utils/apiError.js";
+import { APIResponse } from "../utils/apiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { paginateWithCursor } from "../utils/pagination.js";
+import { WATCH_SESSION_GAP } from "../constant.js";
+
+// Newest first, one entry per video. Videos that were deleted or can no
+// longer be viewed drop out of the list.
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const watchHistory = await paginateWithCursor(WatchHistory, {
+    pipeline: [
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user._id),
+        },
+      },
+      {
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "video",
+          pipeline: [
+            {
+              $match: Video.viewableMatch(req.user._id),
+            },
+            {
+              $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                owner: 1,
+                createdAt: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $match: {
+          "video.0": { $exists: true },
+        },
+      },
+      {
+        $replaceWith: {
+          $mergeObjects: [
+            { $first: "$video" },
+            {
+              position: "$position",
+              watchCount: "$watchCount",
+              watchedAt: "$watchedAt",
+            },
+          ],
+        },
+      },
+    ],
+    sort: { watchedAt: -1 },
+    stages: [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            {
+              $project: {
+                fullName: 1,
+                username: 1,
+                avatar: 1,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $addFields: {
+          owner: {
+            $first: "$owner",
+          },
+        },
+      },
+    ],
+    query: req.query,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, watchHistory, "Watch history fetched successfully")
+    );
+});
+
+// Called by the player as the video plays. Reports closer together than
+// WATCH_SESSION_GAP belong to the same viewing; after a longer gap the
+// video counts as watched again.
+const recordWatchProgress = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const position = Number(req.body?.position);
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  if (
+    req.body?.position === undefined ||
+    !Number.isFinite(position) ||
+    position < 0
+  ) {
+    throw new APIError(400, "position must be a number of seconds");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video || !video.canBeViewedBy(req.user._id)) {
+    throw new APIError(404, "Video not found");
+  }
+
+  if (req.user.watchHistoryPaused) {
+    return res
+      .status(200)
+      .json(
+        new APIResponse(
+          200,
+          null,
+          "Watch history is paused, progress was not recorded"
+        )
+      );
+  }
+
+  const now = new Date();
+  // the duration is 0 until processing has probed the file
+  const update = {
+    position:
+      video.duration > 0 ? Math.min(position, video.duration) : position,
+    watchedAt: now,
+  };
+
+  let entry = await WatchHistory.findOneAndUpdate(
+    {
+      user: req.user._id,
+      video: video._id,
+      watchedAt: { $gte: new Date(now.getTime() - WATCH_SESSION_GAP) },
+    },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!entry) {
+    try {
+      entry = await WatchHistory.findOneAndUpdate(
+        { user: req.user._id, video: video._id },
+        { $set: update, $inc: { watchCount: 1 } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // a concurrent report inserted the entry and already counted this
+      // viewing, so only the position is updated
+      entry = await WatchHistory.findOneAndUpdate(
+        { user: req.user._id, video: video._id },
+        { $set: update },
+        { new: true }
+      );
+    }
+  }
+
+  return res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        video: entry.video,
+        position: entry.position,
+        watchCount: entry.watchCount,
+        watchedAt: entry.watchedAt,
+      },
+      "Watch progress recorded successfully"
+    )
+  );
+});
+
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new APIError(400, "Invalid video ID");
+  }
+
+  const entry = await WatchHistory.findOneAndDelete({
+    user: req.user._id,
+    video: videoId,
+  });
+
+  if (!entry) {
+    throw new APIError(404, "Video not found in watch history");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(200, {}, "Video removed from watch history successfully")
+    );
+});
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await WatchHistory.deleteMany({ user: req.user._id });
+
+  return res
+    .status(200)
+    .json(new APIResponse(200, {}, "Watch history cleared successfully"));
+});
+
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+  const { paused } = req.body || {};
+
+  if (typeof paused !== "boolean") {
+    throw new APIError(400, "paused must be true or false");
+  }
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $set: { watchHistoryPaused: paused },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { paused },
+        paused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
+export {
+  getWatchHistory,
+  recordWatchProgress,
+  removeWatchHistoryEntry,
+  clearWatchHistory,
+  setWatchHistoryPaused,
+};
@@ -0,0 +1,37 @@
+// Converts the plain Cloudinary URLs that used to be stored on users and
+// videos into asset records understood by utils/storage.
+const CLOUDINARY_URL =
+  /\/(image|video|raw)\/upload\/(?:[^/]+\/)*?(?:v\d+\/)?([^?#]+?)(?:\.([a-z0-9]+))?(?:[?#].*)?$/i;
+
+const toAsset = (url) => {
+  const match = CLOUDINARY_URL.exec(url);
+
+  return {
+    provider: "cloudinary",
+    key: match ? match[2] : url,
+    url,
+    resourceType: match?.[1],
+    format: match?.[3],
+  };
+};
+
+const convertFields = async (collection, fields) => {
+  for (const field of fields) {
+    const cursor = collection.find({ [field]: { $type: "string" } });
+
+    for await (const doc of cursor) {
+      const update = doc[field]
+        ? { $set: { [field]: toAsset(doc[field]) } }
+        : { $unset: { [field]: 1 } };
+
+      await collection.updateOne({ _id: doc._id }, update);
+    }
+  }
+};
+
+export const name = "001-media-assets";
+
+export const up = async (db) => {
+  await convertFields(db.collection("users"), ["avatar", "coverImage"]);
+  await convertFields(db.collection("videos"), ["videoFile", "thumbnail"]);
+};
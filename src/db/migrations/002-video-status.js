@@ -0,0 +1,9 @@
+// Videos created before the processing pipeline were uploaded synchronously,
+// so they are already playable.
+export const name = "002-video-status";
+
+export const up = async (db) => {
+  await db
+    .collection("videos")
+    .updateMany({ status: { $exists: false } }, { $set: { status: "ready" } });
+};
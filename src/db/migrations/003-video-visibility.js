@@ -0,0 +1,33 @@
+// Replaces the isPublished flag with the visibility enum. Unpublished videos
+// become private, except scheduled ones which go public on release. That
+// includes those whose publishAt already passed but the scheduler has not
+// released yet.
+export const name = "003-video-visibility";
+
+export const up = async (db) => {
+  const videos = db.collection("videos");
+
+  await videos.updateMany(
+    { isPublished: { $ne: false }, visibility: { $exists: false } },
+    { $set: { visibility: "public" } }
+  );
+
+  await videos.updateMany(
+    {
+      isPublished: false,
+      publishAt: { $ne: null },
+      visibility: { $exists: false },
+    },
+    { $set: { visibility: "public" } }
+  );
+
+  await videos.updateMany(
+    { isPublished: false, visibility: { $exists: false } },
+    { $set: { visibility: "private" } }
+  );
+
+  await videos.updateMany(
+    { isPublished: { $exists: true } },
+    { $unset: { isPublished: 1 } }
+  );
+};
@@ -0,0 +1,14 @@
+import { indexVideoForSearch } from "../../utils/search/index.js";
+
+// Builds the built-in search index for videos uploaded before it existed.
+export const name = "004-search-index";
+
+export const up = async (db) => {
+  const videos = db
+    .collection("videos")
+    .find({}, { projection: { title: 1, description: 1 } });
+
+  for await (const video of videos) {
+    await indexVideoForSearch(video);
+  }
+};
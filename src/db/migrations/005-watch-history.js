@@ -0,0 +1,55 @@
+// Moves the watchHistory arrays on users into the watchhistories
+// collection. The arrays have no timestamps, so entries are dated back from
+// the user's last update a second apart to keep their order.
+export const name = "005-watch-history";
+
+export const up = async (db) => {
+  const users = db.collection("users");
+  const watchHistory = db.collection("watchhistories");
+
+  const cursor = users.find(
+    { "watchHistory.0": { $exists: true } },
+    { projection: { watchHistory: 1, updatedAt: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const lastWatchedAt = (user.updatedAt || new Date()).getTime();
+
+    // later entries win when a video appears more than once
+    const positions = new Map();
+    user.watchHistory.forEach((videoId, index) =>
+      positions.set(videoId.toString(), { videoId, index })
+    );
+
+    const entries = [...positions.values()];
+
+    await watchHistory.bulkWrite(
+      entries.map(({ videoId, index }) => {
+        const watchedAt = new Date(
+          lastWatchedAt - (user.watchHistory.length - 1 - index) * 1000
+        );
+
+        return {
+          updateOne: {
+            filter: { user: user._id, video: videoId },
+            update: {
+              $setOnInsert: {
+                position: 0,
+                watchCount: 1,
+                watchedAt,
+                createdAt: watchedAt,
+                updatedAt: watchedAt,
+              },
+            },
+            upsert: true,
+          },
+        };
+      })
+    );
+  }
+
+  await users.updateMany(
+    { watchHistory: { $exists: true } },
+    { $unset: { watchHistory: 1 } }
+  );
+};
@@ -0,0 +1,12 @@
+// Refresh tokens now live on sessions. Tokens issued before that carry no
+// session, so everyone signs in again once.
+export const name = "006-sessions";
+
+export const up = async (db) => {
+  await db
+    .collection("users")
+    .updateMany(
+      { refreshToken: { $exists: true } },
+      { $unset: { refreshToken: 1 } }
+    );
+};
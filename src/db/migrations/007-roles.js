@@ -0,0 +1,14 @@
+// Thumbnail tests are now for creators, so everyone who already uploaded
+// something becomes one.
+export const name = "007-roles";
+
+export const up = async (db) => {
+  const owners = await db.collection("videos").distinct("owner");
+
+  await db
+    .collection("users")
+    .updateMany(
+      { _id: { $in: owners }, role: { $exists: false } },
+      { $set: { role: "creator" } }
+    );
+};
@@ -0,0 +1,20 @@
+import { normalizeQuery } from "../../utils/search/analyzer.js";
+
+// Fills in titleKey, which search suggestions match title prefixes on.
+export const name = "008-video-title-key";
+
+export const up = async (db) => {
+  const videos = db.collection("videos");
+
+  const cursor = videos.find(
+    { titleKey: { $exists: false } },
+    { projection: { title: 1 } }
+  );
+
+  for await (const video of cursor) {
+    await videos.updateOne(
+      { _id: video._id },
+      { $set: { titleKey: normalizeQuery(video.title) } }
+    );
+  }
+};
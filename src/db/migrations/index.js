@@ -0,0 +1,37 @@
+import mongoose from "mongoose"
+import * as mediaAssets from "./001-media-assets.js"
+import * as videoStatus from "./002-video-status.js"
+import * as videoVisibility from "./003-video-visibility.js"
+import * as searchIndex from "./004-search-index.js"
+import * as watchHistory from "./005-watch-history.js"
+import * as sessions from "./006-sessions.js"
+import * as roles from "./007-roles.js"
+import * as videoTitleKey from "./008-video-title-key.js"
+
+// Applied in order; each one runs once and is recorded in the
+// `migrations` collection.
+const migrations = [
+    mediaAssets,
+    videoStatus,
+    videoVisibility,
+    searchIndex,
+    watchHistory,
+    sessions,
+    roles,
+    videoTitleKey,
+]
+
+const runMigrations = async () => {
+    const db = mongoose.connection.db
+    const applied = db.collection("migrations")
+
+    for (const migration of migrations) {
+        if (await applied.findOne({ name: migration.name })) continue
+
+        await migration.up(db)
+        await applied.insertOne({ name: migration.name, appliedAt: new Date() })
+        console.log(`Migration applied: ${migration.name}`)
+    }
+}
+
+export { runMigrations }
@@ -1,13 +1,30 @@
 import dotenv from "dotenv"
 import connectDB from "./db/index.js"
+import { runMigrations } from "./db/migrations/index.js"
 import { app } from "./app.js"
+import { startUploadCleanupJob } from "./jobs/uploadCleanup.job.js"
+import { startVideoProcessingWorker } from "./jobs/videoProcessing.job.js"
+import { startPublishScheduler } from "./jobs/publishScheduler.job.js"
+import { startTrendingJob } from "./jobs/trending.job.js"
+import { grantConfiguredAdmins } from "./utils/permissions.js"
+import { getMailTransport } from "./utils/mail/index.js"
 
 dotenv.config({
     path: './.env'
 })
 
+// fails fast when production has no mail transport configured
+getMailTransport()
+
 connectDB()
+.then(() => runMigrations())
+.then(() => grantConfiguredAdmins())
 .then(() => {
+    startUploadCleanupJob()
+    startVideoProcessingWorker()
+    startPublishScheduler()
+    startTrendingJob()
+
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server is running at port: ${process.env.PORT}`);
     })
@@ -0,0 +1,34 @@
+import { Video } from "../models/video.model.js";
+import { PUBLISH_SCHEDULER_INTERVAL } from "../constant.js";
+
+// Clears publishAt on videos whose release time has passed. Access checks
+// already treat those videos as released, this makes it permanent.
+const publishDueVideos = async () => {
+  const result = await Video.updateMany(
+    {
+      publishAt: { $lte: new Date() },
+    },
+    {
+      $unset: {
+        publishAt: 1,
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+const startPublishScheduler = () => {
+  const run = () =>
+    publishDueVideos().catch((error) =>
+      console.log("Scheduled publishing failed ", error)
+    );
+
+  run();
+  const timer = setInterval(run, PUBLISH_SCHEDULER_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
+
+export { publishDueVideos, startPublishScheduler };
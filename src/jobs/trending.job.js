@@ -0,0 +1,187 @@
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import {
+  TRENDING_HALF_LIFE,
+  TRENDING_INTERVAL,
+  TRENDING_MAX_AGE,
+} from "../constant.js";
+
+// What one unit of each kind of engagement adds to a score. New subscribers
+// of a channel are shared among its trending candidates.
+const WEIGHTS = {
+  view: 1,
+  like: 5,
+  comment: 8,
+  subscriber: 10,
+};
+
+const countSince = async (Model, field, ids, since) => {
+  const counts = await Model.aggregate([
+    {
+      $match: {
+        [field]: { $in: ids },
+        createdAt: { $gt: since },
+      },
+    },
+    {
+      $group: {
+        _id: `$${field}`,
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+// Ranks each video among the videos sharing the same key, best score first
+const rankWithin = (entries, keyOf) => {
+  const ranks = new Map();
+  const seen = new Map();
+
+  for (const entry of [...entries].sort((a, b) => b.score - a.score)) {
+    const key = keyOf(entry);
+    const rank = (seen.get(key) || 0) + 1;
+    seen.set(key, rank);
+    ranks.set(entry.video.toString(), rank);
+  }
+
+  return ranks;
+};
+
+// Every run decays the previous scores by the time elapsed since and adds
+// the engagement gathered in between, so a score is an exponentially
+// decayed sum of all engagement with a half-life of TRENDING_HALF_LIFE.
+// Only public videos from the last TRENDING_MAX_AGE are considered.
+//
+// Every signal is counted over the same window. Views only exist as a
+// total, so a video that was already uploaded before the last run but only
+// now became eligible (made public, say) has no known starting point: its
+// view count is recorded as the snapshot and it starts scoring next run.
+const computeTrendingScores = async () => {
+  const now = new Date();
+
+  const videos = await Video.find({
+    ...Video.listableMatch(),
+    status: "ready",
+    createdAt: { $gte: new Date(now.getTime() - TRENDING_MAX_AGE) },
+  })
+    .select("owner category views createdAt")
+    .lean();
+
+  const videoIds = videos.map((video) => video._id);
+
+  const previousScores = new Map(
+    (await TrendingScore.find({ video: { $in: videoIds } }).lean()).map(
+      (entry) => [entry.video.toString(), entry]
+    )
+  );
+
+  const lastRun = await TrendingScore.findOne()
+    .sort({ computedAt: -1 })
+    .select("computedAt")
+    .lean();
+  const since = lastRun?.computedAt || new Date(0);
+
+  const [likes, comments, subscribers] = await Promise.all([
+    countSince(Like, "video", videoIds, since),
+    countSince(Comment, "video", videoIds, since),
+    countSince(
+      Subscription,
+      "channel",
+      videos.map((video) => video.owner),
+      since
+    ),
+  ]);
+
+  const videosPerOwner = new Map();
+  for (const video of videos) {
+    const ownerId = video.owner.toString();
+    videosPerOwner.set(ownerId, (videosPerOwner.get(ownerId) || 0) + 1);
+  }
+
+  const entries = videos.map((video) => {
+    const id = video._id.toString();
+    const ownerId = video.owner.toString();
+    const previous = previousScores.get(id);
+
+    const elapsed = previous?.computedAt
+      ? now.getTime() - new Date(previous.computedAt).getTime()
+      : 0;
+    const decay = Math.pow(0.5, elapsed / TRENDING_HALF_LIFE);
+
+    // uploads since the last run have had every view within the window
+    const hasWindow = Boolean(previous) || new Date(video.createdAt) > since;
+
+    const newViews = Math.max(
+      0,
+      (video.views || 0) - (previous?.viewsSnapshot || 0)
+    );
+
+    const engagement = hasWindow
+      ? WEIGHTS.view * newViews +
+        WEIGHTS.like * (likes.get(id) || 0) +
+        WEIGHTS.comment * (comments.get(id) || 0) +
+        (WEIGHTS.subscriber * (subscribers.get(ownerId) || 0)) /
+          videosPerOwner.get(ownerId)
+      : 0;
+
+    return {
+      video: video._id,
+      owner: video.owner,
+      category: video.category,
+      score: (previous?.score || 0) * decay + engagement,
+      viewsSnapshot: video.views || 0,
+    };
+  });
+
+  const channelRanks = rankWithin(entries, (entry) => entry.owner.toString());
+  const channelCategoryRanks = rankWithin(
+    entries,
+    (entry) => `${entry.owner}:${entry.category || ""}`
+  );
+
+  if (entries.length > 0) {
+    await TrendingScore.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { video: entry.video },
+          update: {
+            $set: {
+              ...entry,
+              channelRank: channelRanks.get(entry.video.toString()),
+              channelCategoryRank: channelCategoryRanks.get(
+                entry.video.toString()
+              ),
+              computedAt: now,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  // videos that aged out, went private or were deleted
+  await TrendingScore.deleteMany({ video: { $nin: videoIds } });
+
+  return entries.length;
+};
+
+const startTrendingJob = () => {
+  const run = () =>
+    computeTrendingScores().catch((error) =>
+      console.log("Trending computation failed ", error)
+    );
+
+  run();
+  const timer = setInterval(run, TRENDING_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
+
+export { computeTrendingScores, startTrendingJob };
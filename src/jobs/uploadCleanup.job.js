@@ -0,0 +1,40 @@
+import fs from "fs";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { UPLOAD_CLEANUP_INTERVAL } from "../constant.js";
+
+// Removes the temp files of upload sessions that were abandoned or aborted,
+// then drops the session documents themselves.
+const cleanupUploadSessions = async () => {
+  const staleSessions = await UploadSession.find({
+    $or: [
+      { status: "active", expiresAt: { $lt: new Date() } },
+      { status: "aborted" },
+    ],
+  });
+
+  for (const session of staleSessions) {
+    try {
+      await fs.promises.rm(session.tempPath, { force: true });
+      await UploadSession.findByIdAndDelete(session._id);
+    } catch (error) {
+      console.log("Failed to clean up upload session ", session._id, error);
+    }
+  }
+
+  return staleSessions.length;
+};
+
+const startUploadCleanupJob = () => {
+  const run = () =>
+    cleanupUploadSessions().catch((error) =>
+      console.log("Upload cleanup failed ", error)
+    );
+
+  run();
+  const timer = setInterval(run, UPLOAD_CLEANUP_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
+
+export { cleanupUploadSessions, startUploadCleanupJob };
@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { deleteMedia, uploadMedia } from "../utils/storage/index.js";
+import { extractFrame, probeVideo } from "../utils/mediaProbe.js";
+import { validateChapters } from "../utils/chapters.js";
+import {
+  TEMP_DIR,
+  VIDEO_PROCESSING_LOCK_TIMEOUT,
+  VIDEO_PROCESSING_MAX_ATTEMPTS,
+  VIDEO_PROCESSING_POLL_INTERVAL,
+} from "../constant.js";
+
+const setStage = (videoId, stage, progress) =>
+  Video.updateOne(
+    { _id: videoId, status: "processing" },
+    {
+      $set: {
+        "processing.stage": stage,
+        "processing.progress": progress,
+      },
+    }
+  );
+
+// Atomically takes the oldest queued video, or one whose worker died while
+// holding the lock.
+const claimNextVideo = () => {
+  const now = new Date();
+
+  return Video.findOneAndUpdate(
+    {
+      status: "processing",
+      "processing.attempts": { $lt: VIDEO_PROCESSING_MAX_ATTEMPTS },
+      $or: [
+        { "processing.lockedAt": { $exists: false } },
+        { "processing.lockedAt": null },
+        {
+          "processing.lockedAt": {
+            $lt: new Date(now.getTime() - VIDEO_PROCESSING_LOCK_TIMEOUT),
+          },
+        },
+      ],
+    },
+    {
+      $set: {
+        "processing.lockedAt": now,
+        "processing.startedAt": now,
+        "processing.stage": "probing",
+        "processing.progress": 10,
+      },
+      $inc: {
+        "processing.attempts": 1,
+      },
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+const failVideo = async (video, reason) => {
+  await Video.updateOne(
+    { _id: video._id },
+    {
+      $set: {
+        status: "failed",
+        "processing.error": reason,
+        "processing.completedAt": new Date(),
+      },
+      $unset: {
+        "processing.lockedAt": 1,
+        "processing.sourcePath": 1,
+        "processing.thumbnailPath": 1,
+      },
+    }
+  );
+
+  fs.rmSync(video.processing.sourcePath || "", { force: true });
+  fs.rmSync(video.processing.thumbnailPath || "", { force: true });
+};
+
+// A failed attempt goes back to the queue until it runs out of attempts. The
+// lock is left to lapse one poll interval from now, so the retry is picked
+// up by a later drain instead of straight away.
+const retryOrFailVideo = async (video, reason) => {
+  if (video.processing.attempts >= VIDEO_PROCESSING_MAX_ATTEMPTS) {
+    return failVideo(video, reason);
+  }
+
+  await Video.updateOne(
+    { _id: video._id, status: "processing" },
+    {
+      $set: {
+        "processing.stage": "queued",
+        "processing.progress": 0,
+        "processing.error": reason,
+        "processing.lockedAt": new Date(
+          Date.now() -
+            VIDEO_PROCESSING_LOCK_TIMEOUT +
+            VIDEO_PROCESSING_POLL_INTERVAL
+        ),
+      },
+    }
+  );
+};
+
+// Videos that kept crashing the worker are given up on.
+const failExhaustedVideos = async () => {
+  const exhausted = await Video.find({
+    status: "processing",
+    "processing.attempts": { $gte: VIDEO_PROCESSING_MAX_ATTEMPTS },
+    "processing.lockedAt": {
+      $lt: new Date(Date.now() - VIDEO_PROCESSING_LOCK_TIMEOUT),
+    },
+  });
+
+  for (const video of exhausted) {
+    await failVideo(video, "Processing did not finish after several attempts");
+  }
+};
+
+const processVideo = async (video) => {
+  const { sourcePath, thumbnailPath } = video.processing;
+
+  if (!sourcePath || !fs.existsSync(sourcePath)) {
+    throw new Error("Uploaded video file is missing");
+  }
+
+  const metadata = await probeVideo(sourcePath);
+
+  await setStage(video._id, "generating", 30);
+
+  let posterPath = path.join(TEMP_DIR, `${video._id}-poster.jpg`);
+  const hasPoster = await extractFrame(
+    sourcePath,
+    posterPath,
+    Math.floor((metadata.duration || 0) / 10)
+  );
+  if (!hasPoster) posterPath = null;
+
+  await setStage(video._id, "transferring", 50);
+
+  // the uploaded files are kept until the video is ready or has failed for
+  // good, so a failed transfer can be retried
+  const videoFile = await uploadMedia(sourcePath, {
+    folder: "videos",
+    keepSource: true,
+  });
+  if (!videoFile) {
+    if (posterPath) fs.rmSync(posterPath, { force: true });
+    throw new Error("Failed to transfer video file to storage");
+  }
+
+  await setStage(video._id, "transferring", 80);
+
+  const thumbnail = await uploadMedia(thumbnailPath, {
+    folder: "thumbnails",
+    keepSource: true,
+  });
+  const poster = posterPath
+    ? await uploadMedia(posterPath, { folder: "posters" })
+    : null;
+
+  if (!thumbnail) {
+    await deleteMedia(videoFile);
+    await deleteMedia(poster);
+    throw new Error("Failed to transfer thumbnail to storage");
+  }
+
+  const duration = metadata.duration || videoFile.duration || 0;
+
+  // chapters were only checked for order at upload, now the length is known.
+  // Description chapters are all or nothing, chapters set by hand only lose
+  // the ones that start past the end.
+  let chapters = null;
+  if (
+    duration > 0 &&
+    video.chapters.length > 0 &&
+    validateChapters(video.chapters, duration).length > 0
+  ) {
+    chapters =
+      video.chaptersSource === "manual"
+        ? video.chapters
+            .filter((chapter) => chapter.startTime < duration)
+            .map(({ title, startTime }) => ({ title, startTime }))
+        : [];
+  }
+
+  const readyVideo = await Video.findOneAndUpdate(
+    { _id: video._id, status: "processing" },
+    {
+      $set: {
+        status: "ready",
+        ...(chapters && { chapters }),
+        videoFile,
+        thumbnail,
+        ...(poster && { poster }),
+        duration,
+        width: metadata.width || videoFile.width,
+        height: metadata.height || videoFile.height,
+        codec: metadata.codec || videoFile.format,
+        size: metadata.size,
+        "processing.stage": "done",
+        "processing.progress": 100,
+        "processing.completedAt": new Date(),
+      },
+      $unset: {
+        "processing.lockedAt": 1,
+        "processing.error": 1,
+        "processing.sourcePath": 1,
+        "processing.thumbnailPath": 1,
+      },
+    },
+    { new: true }
+  );
+
+  fs.rmSync(sourcePath, { force: true });
+  fs.rmSync(thumbnailPath || "", { force: true });
+
+  // the video was deleted while it was being processed
+  if (!readyVideo) {
+    await deleteMedia(videoFile);
+    await deleteMedia(thumbnail);
+    await deleteMedia(poster);
+  }
+};
+
+let isDraining = false;
+let drainRequested = false;
+
+const drainQueue = async () => {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+
+  isDraining = true;
+  try {
+    do {
+      drainRequested = false;
+
+      await failExhaustedVideos();
+
+      let video;
+      while ((video = await claimNextVideo())) {
+        try {
+          await processVideo(video);
+        } catch (error) {
+          await retryOrFailVideo(video, error.message);
+        }
+      }
+    } while (drainRequested);
+  } catch (error) {
+    console.log("Video processing worker failed ", error);
+  } finally {
+    isDraining = false;
+  }
+};
+
+const enqueueVideoProcessing = () => {
+  drainQueue();
+};
+
+const startVideoProcessingWorker = () => {
+  drainQueue();
+  const timer = setInterval(drainQueue, VIDEO_PROCESSING_POLL_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
+
+export { enqueueVideoProcessing, startVideoProcessingWorker };
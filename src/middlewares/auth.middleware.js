@@ -1,6 +1,7 @@
 import { User } from "../models/user.model.js";
 import { APIError } from "../utils/apiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { isSessionActive } from "../utils/sessions.js";
 import jwt from "jsonwebtoken"
 
 export const verifyJWT = asyncHandler(async(req, _, next) => {
@@ -13,13 +14,19 @@ export const verifyJWT = asyncHandler(async(req, _, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        // logging out or revoking a session also ends its access tokens
+        if(!decodedToken?.sid || !(await isSessionActive(decodedToken.sid))) {
+            throw new APIError(401, "Session has ended")
+        }
+
+        const user = await User.findById(decodedToken?._id).select("-password")
 
         if(!user) {
             throw new APIError(401, "Invalid Access Token")
         }
 
         req.user = user
+        req.sessionId = decodedToken.sid
         next();
     } catch (error) {
         throw new APIError(401, error?.message || "Invalid access token")
@@ -1,12 +1,21 @@
+import fs from "fs"
 import multer from "multer"
+import { TEMP_DIR } from "../constant.js"
 
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, "./public/temp")
+        fs.mkdir(TEMP_DIR, { recursive: true }, (error) => cb(error, TEMP_DIR))
     }, 
     filename: (req, file, cb) => {
         cb(null, file.originalname)
     }
 })
 
-export const upload = multer({ storage })
\ No newline at end of file
+export const upload = multer({ storage })
+
+export const captionUpload = multer({
+    storage,
+    limits: {
+        fileSize: 2 * 1024 * 1024
+    }
+})
@@ -0,0 +1,10 @@
+import { APIError } from "../utils/apiError.js";
+import { hasPermission } from "../utils/permissions.js";
+
+// Goes after verifyJWT
+export const requirePermission = (permission) => (req, _, next) => {
+    if (!hasPermission(req.user, permission)) {
+        throw new APIError(403, "You are not allowed to do this")
+    }
+    next()
+}
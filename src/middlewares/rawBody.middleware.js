@@ -0,0 +1,7 @@
+import express from "express"
+import { UPLOAD_CHUNK_SIZE } from "../constant.js"
+
+export const chunkBody = express.raw({
+    type: "application/octet-stream",
+    limit: UPLOAD_CHUNK_SIZE
+})
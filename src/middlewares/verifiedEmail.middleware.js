@@ -0,0 +1,10 @@
+import { APIError } from "../utils/apiError.js";
+import { REQUIRE_VERIFIED_EMAIL } from "../constant.js";
+
+// Goes after verifyJWT on routes that publish content
+export const requireVerifiedEmail = (req, _, next) => {
+    if (REQUIRE_VERIFIED_EMAIL && !req.user?.emailVerified) {
+        throw new APIError(403, "Verify your email address first")
+    }
+    next()
+}
@@ -0,0 +1,43 @@
+import { Schema } from "mongoose";
+
+// Provider-neutral record of a file held by one of the storage drivers in
+// utils/storage.
+export const assetSchema = new Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["cloudinary", "local", "s3"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+    resourceType: {
+      type: String,
+    },
+    format: {
+      type: String,
+    },
+    duration: {
+      type: Number,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
@@ -0,0 +1,75 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate";
+
+const cueSchema = new Schema(
+  {
+    start: {
+      type: Number,
+      required: true,
+    },
+    end: {
+      type: Number,
+      required: true,
+    },
+    settings: {
+      type: String,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const captionSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // BCP 47 tag, stored lowercase (en, pt-br, ...)
+    language: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    sourceFormat: {
+      type: String,
+      enum: ["srt", "vtt"],
+    },
+    cues: [cueSchema],
+    // the track as served to players
+    vtt: {
+      type: String,
+      required: true,
+    },
+    // plain cue text without markup, for search
+    text: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+captionSchema.index({ video: 1, language: 1 }, { unique: true });
+
+// `language` would otherwise be read as the text index language override
+captionSchema.index(
+  { text: "text" },
+  { default_language: "none", language_override: "textIndexLanguage" }
+);
+
+captionSchema.plugin(mongooseAggregatePaginate);
+
+export const Caption = mongoose.model("Caption", captionSchema);
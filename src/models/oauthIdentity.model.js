@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+// An account at an OAuth / OpenID Connect provider linked to a user, who
+// can then log in through it.
+const oauthIdentitySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // the provider's stable ID for the account
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+    },
+    username: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+oauthIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+oauthIdentitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+export const OAuthIdentity = mongoose.model(
+  "OAuthIdentity",
+  oauthIdentitySchema
+);
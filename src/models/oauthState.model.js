@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+
+// An authorization request waiting for the provider to redirect back. Used
+// once, then deleted.
+const oauthStateSchema = new Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  mode: {
+    type: String,
+    enum: ["login", "link"],
+    required: true,
+  },
+  // the user linking a provider, in link mode
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB drops abandoned requests once they have expired
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
@@ -20,4 +20,9 @@ const playlistSchema = new Schema({
     }
 }, { timestamps: true })
 
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { weights: { name: 3, description: 1 } }
+)
+
 export const Playlist = mongoose.model("PLaylist", playlistSchema)
\ No newline at end of file
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const postingSchema = new Schema(
+  {
+    term: {
+      type: String,
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: ["title", "description"],
+      required: true,
+    },
+    frequency: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// The built-in search engine's view of a video: the analyzed terms of each
+// searchable field and the field lengths BM25 normalizes by.
+const searchDocumentSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      unique: true,
+    },
+    postings: {
+      type: [postingSchema],
+      default: [],
+    },
+    fieldLengths: {
+      title: {
+        type: Number,
+        default: 0,
+      },
+      description: {
+        type: Number,
+        default: 0,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+searchDocumentSchema.index({ "postings.term": 1 });
+
+export const SearchDocument = mongoose.model(
+  "SearchDocument",
+  searchDocumentSchema
+);
@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+// Search queries aggregated by their normalized text, for suggestions.
+// Individual searches are not kept.
+const searchQuerySchema = new Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+searchQuerySchema.index({ count: -1 });
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
@@ -0,0 +1,21 @@
+import mongoose, { Schema } from "mongoose";
+
+// Vocabulary of the built-in search index. documentCount is the number of
+// videos containing the term, used for IDF and to find typo corrections.
+const searchTermSchema = new Schema({
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  length: {
+    type: Number,
+    required: true,
+  },
+  documentCount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+export const SearchTerm = mongoose.model("SearchTerm", searchTermSchema);
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// One per signed in device. A session is a refresh token family: every
+// refresh replaces `tokenId`, so a token carrying an older ID has already
+// been used.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    device: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse", "password-change"],
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB drops sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
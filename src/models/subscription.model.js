@@ -11,4 +11,7 @@ const subscriptionSchema = new Schema({
     }
 }, { timestamps: true })
 
+subscriptionSchema.index({ subscriber: 1, channel: 1 })
+subscriptionSchema.index({ channel: 1 })
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+import { THUMBNAIL_IMPRESSION_TTL } from "../constant.js";
+
+// One feed showing of a thumbnail test candidate. Its ID goes out with the
+// feed item so that opening the video can be attributed back to it.
+const thumbnailImpressionSchema = new Schema({
+  video: {
+    type: Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  viewer: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  candidate: {
+    type: Number,
+    required: true,
+  },
+  clicked: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: THUMBNAIL_IMPRESSION_TTL,
+  },
+});
+
+export const ThumbnailImpression = mongoose.model(
+  "ThumbnailImpression",
+  thumbnailImpressionSchema
+);
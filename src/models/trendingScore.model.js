@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+// Precomputed by the trending job. `score` is a decayed sum of engagement;
+// the channel ranks let the feed cap videos per creator without grouping on
+// every request.
+const trendingScoreSchema = new Schema({
+  video: {
+    type: Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+    unique: true,
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  category: {
+    type: String,
+  },
+  score: {
+    type: Number,
+    default: 0,
+  },
+  // views counter at the last run, to tell how many views are new
+  viewsSnapshot: {
+    type: Number,
+    default: 0,
+  },
+  // position among the channel's videos, overall and within the category
+  channelRank: {
+    type: Number,
+  },
+  channelCategoryRank: {
+    type: Number,
+  },
+  computedAt: {
+    type: Date,
+  },
+});
+
+trendingScoreSchema.index({ score: -1 });
+trendingScoreSchema.index({ category: 1, score: -1 });
+
+export const TrendingScore = mongoose.model(
+  "TrendingScore",
+  trendingScoreSchema
+);
@@ -11,4 +11,7 @@ const tweetSchema = new Schema({
     }
 }, { timestamps: true })
 
+tweetSchema.index({ owner: 1, createdAt: -1 })
+tweetSchema.index({ content: "text" })
+
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -0,0 +1,102 @@
+import mongoose, { Schema } from "mongoose";
+
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    totalSize: {
+      type: Number,
+      required: true,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    receivedChunks: [
+      {
+        type: Number,
+      },
+    ],
+    tempPath: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "aborted"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.methods.getChunkLength = function (chunkIndex) {
+  if (chunkIndex === this.totalChunks - 1) {
+    return this.totalSize - chunkIndex * this.chunkSize;
+  }
+  return this.chunkSize;
+};
+
+uploadSessionSchema.methods.getProgress = function () {
+  const received = [...new Set(this.receivedChunks)].sort((a, b) => a - b);
+  const receivedSet = new Set(received);
+
+  const missingChunks = [];
+  for (let i = 0; i < this.totalChunks; i++) {
+    if (!receivedSet.has(i)) missingChunks.push(i);
+  }
+
+  const receivedBytes = received.reduce(
+    (sum, chunkIndex) => sum + this.getChunkLength(chunkIndex),
+    0
+  );
+
+  const nextChunk = missingChunks.length > 0 ? missingChunks[0] : null;
+
+  return {
+    uploadId: this._id,
+    status: this.status,
+    fileName: this.fileName,
+    totalSize: this.totalSize,
+    chunkSize: this.chunkSize,
+    totalChunks: this.totalChunks,
+    receivedChunks: received,
+    missingChunks,
+    receivedBytes,
+    nextChunk,
+    nextOffset: nextChunk === null ? null : nextChunk * this.chunkSize,
+    isComplete: missingChunks.length === 0,
+    expiresAt: this.expiresAt,
+    video: this.video,
+  };
+};
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
@@ -1,6 +1,8 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import { assetSchema } from "./asset.schema.js";
+import { ROLES } from "../constant.js";
 
 const userSchema = new Schema(
   {
@@ -19,51 +21,121 @@ const userSchema = new Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
     fullName: {
       type: String,
       required: true,
       trim: true,
       index: true,
     },
+    // accounts created through a login provider may have no avatar
     avatar: {
-      type: String,
-      required: true,
+      type: assetSchema,
     },
     coverImage: {
+      type: assetSchema,
+    },
+    // while paused nothing new is added to the watch history
+    watchHistoryPaused: {
+      type: Boolean,
+      default: false,
+    },
+    role: {
       type: String,
+      enum: ROLES,
+      default: "user",
     },
-    watchHistory: [
-      {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
-      },
-    ],
+    // unset for accounts that only log in through a provider
     password: {
       type: String,
-      required: [true, "Password is required"],
     },
-    refreshToken: {
-      type: String,
+    // TOTP two-factor authentication; secrets never leave the server
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // set up but not yet confirmed with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      // last accepted TOTP step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // the login waiting for a second factor
+      pendingLogin: {
+        type: {
+          _id: false,
+          tokenId: String,
+          attempts: Number,
+        },
+        select: false,
+      },
+      // codes tried since the last successful login, across pending logins
+      failedAttempts: {
+        type: Number,
+        select: false,
+      },
+      lockedUntil: {
+        type: Date,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // when the subscription feed was last opened, for its unseen counts
+    feedLastVisitedAt: {
+      type: Date,
     },
   },
   { timestamps: true }
 );
 
-userSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
+// Mongoose 9 no longer passes `next` to middleware
+userSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
 
   this.password = await bcrypt.hash(this.password, 10);
-  next();
 });
 
+// Channel search. Names are not prose, so no stemming or stop words.
+userSchema.index(
+  { username: "text", fullName: "text" },
+  { weights: { username: 3, fullName: 2 }, default_language: "none" }
+);
+
 userSchema.methods.isPasswordCorrect = async function (password) {
+  if (!this.password || !password) return false;
+
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       username: this.username,
       fullName: this.fullName,
@@ -75,14 +147,16 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      jwtid: tokenId,
     }
   );
 };
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+
+// Single use tokens sent to users by email. Only a SHA-256 hash of the
+// token is stored.
+const userTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify-email", "reset-password"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // the address the token was sent to
+    email: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// MongoDB drops tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema);
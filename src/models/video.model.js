@@ -1,33 +1,180 @@
 import mongoose, { Schema } from "mongoose"
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate"
+import { assetSchema } from "./asset.schema.js"
+import { VIDEO_CATEGORIES } from "../constant.js"
+import { normalizeQuery } from "../utils/search/analyzer.js"
 
-const videoSchema = new Schema({
-    videoFile: {
+const chapterSchema = new Schema({
+    title: {
         type: String,
+        required: true,
+        trim: true
+    },
+    startTime: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false })
+
+const thumbnailCandidateSchema = new Schema({
+    asset: {
+        type: assetSchema,
         required: true
     },
+    impressions: {
+        type: Number,
+        default: 0
+    },
+    clicks: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false })
+
+const isReady = function () {
+    return this.status === "ready"
+}
+
+const videoSchema = new Schema({
+    videoFile: {
+        type: assetSchema,
+        required: isReady
+    },
     thumbnail: {
-        type: String,
-        required: true
+        type: assetSchema,
+        required: isReady
+    },
+    poster: {
+        type: assetSchema
+    },
+    thumbnailTest: {
+        status: {
+            type: String,
+            enum: ["running", "completed", "cancelled"]
+        },
+        candidates: [thumbnailCandidateSchema],
+        // total impressions across candidates before a winner is picked
+        sampleSize: {
+            type: Number
+        },
+        winner: {
+            type: Number
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        }
     },
     title: {
         type: String,
         required: true
     },
+    // normalized title for prefix lookups (search suggestions), kept in
+    // sync by the hooks below
+    titleKey: {
+        type: String,
+        index: true
+    },
     description: {
         type: String,
     },
+    // normalized by utils/tags.js
+    tags: {
+        type: [String],
+        index: true
+    },
+    category: {
+        type: String,
+        enum: VIDEO_CATEGORIES,
+        index: true
+    },
+    chapters: [chapterSchema],
+    // "description" chapters follow the description, "manual" ones were set
+    // through the chapters endpoint and are left alone on edits
+    chaptersSource: {
+        type: String,
+        enum: ["description", "manual"],
+        default: "description"
+    },
     duration: {
         type: Number,
         required: true
     },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    codec: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
     views: {
         type: Number,
         required: true
     },
-    isPublished: {
-        type: Boolean,
-        default: true
+    visibility: {
+        type: String,
+        enum: ["public", "unlisted", "private"],
+        default: "public",
+        index: true
+    },
+    // users besides the owner who may watch a private video
+    allowedViewers: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        }
+    ],
+    publishAt: {
+        type: Date,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ["processing", "ready", "failed"],
+        default: "ready",
+        index: true
+    },
+    processing: {
+        stage: {
+            type: String,
+            enum: ["queued", "probing", "generating", "transferring", "done"],
+        },
+        progress: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+        error: {
+            type: String
+        },
+        sourcePath: {
+            type: String
+        },
+        thumbnailPath: {
+            type: String
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lockedAt: {
+            type: Date
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        }
     },
     owner: {
         type: Schema.Types.ObjectId,
@@ -36,6 +183,86 @@ const videoSchema = new Schema({
 }, { timestamps: true })
 
 
+const releasedMatch = () => ({
+    $or: [
+        { publishAt: { $exists: false } },
+        { publishAt: null },
+        { publishAt: { $lte: new Date() } }
+    ]
+})
+
+// A scheduled video counts as released as soon as its publishAt passes, even
+// if the publish scheduler has not cleared it yet.
+videoSchema.methods.isReleased = function () {
+    return !this.publishAt || this.publishAt <= new Date()
+}
+
+videoSchema.methods.isOwnedBy = function (userId) {
+    return !!userId && this.owner?.toString() === userId.toString()
+}
+
+// Who may open the video directly (by ID, link, playlist, likes...).
+videoSchema.methods.canBeViewedBy = function (userId) {
+    if (this.isOwnedBy(userId)) return true
+    if (!this.isReleased()) return false
+    if (this.visibility === "private") {
+        return !!userId && this.allowedViewers.some((id) => id.toString() === userId.toString())
+    }
+    return true
+}
+
+// $match equivalent of canBeViewedBy
+videoSchema.statics.viewableMatch = function (userId) {
+    const viewer = userId ? new mongoose.Types.ObjectId(userId) : null
+    return {
+        $or: [
+            ...(viewer ? [{ owner: viewer }] : []),
+            {
+                $and: [
+                    releasedMatch(),
+                    {
+                        $or: [
+                            { visibility: { $in: ["public", "unlisted"] } },
+                            { visibility: { $exists: false } },
+                            ...(viewer ? [{ visibility: "private", allowedViewers: viewer }] : [])
+                        ]
+                    }
+                ]
+            }
+        ]
+    }
+}
+
+// Which videos may show up in feeds, search and channel pages. Unlisted
+// videos are only reachable by link, so they never appear here.
+videoSchema.statics.listableMatch = function (userId) {
+    const viewer = userId ? new mongoose.Types.ObjectId(userId) : null
+    return {
+        $and: [
+            releasedMatch(),
+            {
+                $or: [
+                    { visibility: "public" },
+                    { visibility: { $exists: false } },
+                    ...(viewer ? [{ visibility: "private", allowedViewers: viewer }] : [])
+                ]
+            }
+        ]
+    }
+}
+
+videoSchema.pre("save", function () {
+    if (this.isModified("title")) this.titleKey = normalizeQuery(this.title)
+})
+
+videoSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+    const update = this.getUpdate() || {}
+    const title = update.$set?.title ?? update.title
+    if (title !== undefined) this.set("titleKey", normalizeQuery(title))
+})
+
+videoSchema.index({ owner: 1, createdAt: -1 })
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
-export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
+export const Video = mongoose.model("Video", videoSchema)
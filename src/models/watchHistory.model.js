@@ -0,0 +1,39 @@
+import mongoose, { Schema } from "mongoose";
+
+// One entry per user and video; watching again moves it back to the top
+// and updates the playback position.
+const watchHistorySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // seconds into the video where playback was last reported
+    position: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    watchCount: {
+      type: Number,
+      default: 1,
+    },
+    watchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, watchedAt: -1 });
+watchHistorySchema.index({ video: 1 });
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+  getRoles,
+  getUsers,
+  updateUserRole,
+} from "../controllers/admin.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+
+const router = Router();
+
+router.use(verifyJWT, requirePermission("user:manage-roles"));
+
+router.route("/roles").get(getRoles);
+router.route("/users").get(getUsers);
+router.route("/users/:userId/role").patch(updateUserRole);
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import {
+  completeOAuthLogin,
+  getLoginProviders,
+  startOAuthLogin,
+} from "../controllers/oauth.controller.js";
+
+const router = Router();
+
+router.route("/oauth/providers").get(getLoginProviders);
+router.route("/oauth/callback").post(completeOAuthLogin);
+router.route("/oauth/:provider/start").post(startOAuthLogin);
+
+export default router;
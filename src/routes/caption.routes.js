@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  addCaption,
+  deleteCaption,
+  getCaptionTrack,
+  getVideoCaptions,
+  replaceCaption,
+  searchCaptions,
+} from "../controllers/caption.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { captionUpload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/search").get(searchCaptions);
+router
+  .route("/v/:videoId")
+  .get(getVideoCaptions)
+  .post(captionUpload.single("captions"), addCaption);
+router
+  .route("/v/:videoId/:language")
+  .get(getCaptionTrack)
+  .put(captionUpload.single("captions"), replaceCaption)
+  .delete(deleteCaption);
+
+export default router;
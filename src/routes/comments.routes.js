@@ -6,12 +6,16 @@ import {
   updateComment,
 } from "../controllers/comment.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireVerifiedEmail } from "../middlewares/verifiedEmail.middleware.js";
 
 const router = Router();
 
 router.use(verifyJWT);
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
+router
+  .route("/:videoId")
+  .get(getVideoComments)
+  .post(requireVerifiedEmail, addComment);
 router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
 
 export default router;
@@ -2,6 +2,8 @@ import { Router } from 'express';
 import {
     getChannelStats,
     getChannelVideos,
+    getScheduledVideos,
+    getThumbnailTests,
 } from "../controllers/dashboard.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
 
@@ -11,5 +13,7 @@ router.use(verifyJWT);
 
 router.route("/stats").get(getChannelStats);
 router.route("/videos").get(getChannelVideos);
+router.route("/scheduled").get(getScheduledVideos);
+router.route("/thumbnail-tests").get(getThumbnailTests);
 
 export default router
\ No newline at end of file
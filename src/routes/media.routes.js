@@ -0,0 +1,8 @@
+import { Router } from 'express';
+import { serveLocalMedia } from "../controllers/media.controller.js"
+
+const router = Router();
+
+router.route("/*key").get(serveLocalMedia);
+
+export default router
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+  getSearchSuggestions,
+  search,
+} from "../controllers/search.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/").get(search);
+router.route("/suggestions").get(getSearchSuggestions);
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import {
+  getCategories,
+  getPopularTags,
+  getVideosByTag,
+} from "../controllers/tag.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/popular").get(getPopularTags);
+router.route("/categories").get(getCategories);
+router.route("/:tag").get(getVideosByTag);
+
+export default router;
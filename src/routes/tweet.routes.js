@@ -6,11 +6,12 @@ import {
     updateTweet,
 } from "../controllers/tweet.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireVerifiedEmail} from "../middlewares/verifiedEmail.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
+router.route("/").post(requireVerifiedEmail, createTweet);
 router.route("/user/:userId").get(getUserTweets);
 router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
 
@@ -1,17 +1,44 @@
 import { Router } from "express";
 import { 
     loginUser, 
+    verifyTwoFactorLogin,
     logoutUser, 
     registerUser, 
     refreshAccessToken, 
     changeCurrentPassword, 
+    requestPasswordReset,
+    resetPassword,
     getCurrentUser, 
     updateUserAvatar, 
     updateUserCoverImage, 
     getUserChannelProfile, 
-    getWatchHistory, 
-    updateAccountDetails
+    updateAccountDetails,
+    verifyEmail,
+    resendVerificationEmail
 } from "../controllers/user.controller.js";
+import {
+    getWatchHistory,
+    clearWatchHistory,
+    removeWatchHistoryEntry,
+    setWatchHistoryPaused
+} from "../controllers/watchHistory.controller.js";
+import {
+    getActiveSessions,
+    revokeAllSessions,
+    revokeSession
+} from "../controllers/session.controller.js";
+import {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/twoFactor.controller.js";
+import {
+    getLinkedProviders,
+    startOAuthLink,
+    completeOAuthLink,
+    unlinkProvider
+} from "../controllers/oauth.controller.js";
 import {upload} from "../middlewares/multer.middleware.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -33,18 +60,35 @@ router.route("/register").post(
     )
 
 router.route("/login").post(loginUser)
+router.route("/login/2fa").post(verifyTwoFactorLogin)
+router.route("/verify-email").post(verifyEmail)
+router.route("/forgot-password").post(requestPasswordReset)
+router.route("/reset-password").post(resetPassword)
 
 //secured routes
 router.route("/logout").post(verifyJWT,  logoutUser)
 router.route("/refresh-token").post(refreshAccessToken)
 router.route("/change-password").post(verifyJWT, changeCurrentPassword)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
+router.route("/sessions").get(verifyJWT, getActiveSessions).delete(verifyJWT, revokeAllSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession)
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJWT, regenerateRecoveryCodes)
+router.route("/oauth").get(verifyJWT, getLinkedProviders)
+router.route("/oauth/link").post(verifyJWT, completeOAuthLink)
+router.route("/oauth/:provider/link/start").post(verifyJWT, startOAuthLink)
+router.route("/oauth/:provider").delete(verifyJWT, unlinkProvider)
 router.route("/update-account").patch(verifyJWT, updateAccountDetails)
+router.route("/verify-email/resend").post(verifyJWT, resendVerificationEmail)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
 router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/history").get(verifyJWT, getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/pause").patch(verifyJWT, setWatchHistoryPaused)
+router.route("/history/:videoId").delete(verifyJWT, removeWatchHistoryEntry)
 
 export default router
\ No newline at end of file
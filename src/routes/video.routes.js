@@ -1,14 +1,36 @@
 import { Router } from 'express';
 import {
+    cancelThumbnailTest,
     deleteVideo,
     getAllVideos,
+    getThumbnailTest,
+    getTrendingVideos,
     getVideoById,
+    getVideoChapters,
+    getVideoProcessingStatus,
+    getVideoRecommendations,
     publishAVideo,
+    resetVideoChapters,
+    startThumbnailTest,
+    streamVideo,
     togglePublishStatus,
     updateVideo,
+    updateVideoChapters,
+    updateVideoVisibility,
 } from "../controllers/video.controller.js"
+import {
+    abortUploadSession,
+    completeUploadSession,
+    getUploadSessionStatus,
+    startUploadSession,
+    uploadChunk,
+} from "../controllers/upload.controller.js"
+import {recordWatchProgress} from "../controllers/watchHistory.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireVerifiedEmail} from "../middlewares/verifiedEmail.middleware.js"
+import {requirePermission} from "../middlewares/permission.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import {chunkBody} from "../middlewares/rawBody.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
@@ -17,6 +39,7 @@ router
     .route("/")
     .get(getAllVideos)
     .post(
+        requireVerifiedEmail,
         upload.fields([
             {
                 name: "videoFile",
@@ -31,12 +54,45 @@ router
         publishAVideo
     );
 
+router.route("/trending").get(getTrendingVideos);
+
+// resumable chunked uploads
+router.route("/uploads").post(requireVerifiedEmail, startUploadSession);
+router
+    .route("/uploads/:uploadId")
+    .get(getUploadSessionStatus)
+    .delete(abortUploadSession);
+router.route("/uploads/:uploadId/chunks/:chunkIndex").put(chunkBody, uploadChunk);
+router
+    .route("/uploads/:uploadId/complete")
+    .post(upload.single("thumbnail"), completeUploadSession);
+
 router
     .route("/:videoId")
     .get(getVideoById)
     .delete(deleteVideo)
     .patch(upload.single("thumbnail"), updateVideo);
 
+router.route("/:videoId/processing").get(getVideoProcessingStatus);
+router.route("/:videoId/progress").put(recordWatchProgress);
+router.route("/:videoId/recommendations").get(getVideoRecommendations);
+router.route("/:videoId/stream").get(streamVideo);
+router.route("/:videoId/visibility").patch(updateVideoVisibility);
+router
+    .route("/:videoId/chapters")
+    .get(getVideoChapters)
+    .put(updateVideoChapters)
+    .delete(resetVideoChapters);
+router
+    .route("/:videoId/thumbnail-test")
+    .get(getThumbnailTest)
+    .post(
+        requirePermission("video:thumbnail-test"),
+        upload.array("thumbnails", 3),
+        startThumbnailTest
+    )
+    .delete(cancelThumbnailTest);
+
 router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
 
 export default router
\ No newline at end of file
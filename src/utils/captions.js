@@ -0,0 +1,124 @@
+// Parses SRT and WebVTT caption files into cues ({ start, end, text } with
+// times in seconds) and serializes cues back to WebVTT.
+
+const CUE_TIMING =
+  /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+const parseCueTime = (value) => {
+  const [clock, fraction = "0"] = value.replace(",", ".").split(".");
+  const parts = clock.split(":").map(Number);
+  const [hours, minutes, seconds] =
+    parts.length === 3 ? parts : [0, parts[0], parts[1]];
+
+  return (
+    hours * 3600 +
+    minutes * 60 +
+    seconds +
+    Number(fraction.padEnd(3, "0")) / 1000
+  );
+};
+
+const formatCueTime = (totalSeconds) => {
+  const totalMs = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, size = 2) => String(n).padStart(size, "0");
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms, 3)}`;
+};
+
+const detectCaptionFormat = (content) =>
+  /^WEBVTT/.test(content) ? "vtt" : "srt";
+
+// Returns { format, cues, errors }. Blocks that are not cues (WebVTT
+// headers, NOTE and STYLE blocks, SRT sequence numbers) are skipped.
+const parseCaptions = (rawContent) => {
+  const content = String(rawContent)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n");
+  const format = detectCaptionFormat(content);
+  const cues = [];
+  const errors = [];
+
+  const blocks = content.split(/\n{2,}/);
+
+  blocks.forEach((block, blockIndex) => {
+    const lines = block.split("\n").filter((line) => line.trim() !== "");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+
+    if (timingIndex === -1) return;
+
+    const match = CUE_TIMING.exec(lines[timingIndex]);
+
+    if (!match) {
+      errors.push(`Block ${blockIndex + 1} has a malformed timing line`);
+      return;
+    }
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .join("\n")
+      .trim();
+
+    if (!text) return;
+
+    cues.push({
+      start: parseCueTime(match[1]),
+      end: parseCueTime(match[2]),
+      settings: format === "vtt" ? match[3].trim() : "",
+      text,
+    });
+  });
+
+  if (cues.length === 0 && errors.length === 0) {
+    errors.push("No caption cues found");
+  }
+
+  return { format, cues, errors };
+};
+
+// A duration of 0 means it is not known yet and is not checked.
+const validateCues = (cues, duration = 0) => {
+  const errors = [];
+
+  cues.forEach((cue, index) => {
+    const label = `Cue ${index + 1} (${formatCueTime(cue.start)})`;
+
+    if (cue.start < 0 || cue.end <= cue.start) {
+      errors.push(`${label} must end after it starts`);
+    }
+
+    if (duration > 0 && cue.start >= duration) {
+      errors.push(`${label} starts after the end of the video`);
+    } else if (duration > 0 && cue.end > duration + 1) {
+      errors.push(`${label} ends after the end of the video`);
+    }
+  });
+
+  return errors;
+};
+
+const toWebVTT = (cues) =>
+  [
+    "WEBVTT",
+    ...cues.map((cue) =>
+      [
+        `${formatCueTime(cue.start)} --> ${formatCueTime(cue.end)}${
+          cue.settings ? ` ${cue.settings}` : ""
+        }`,
+        cue.text,
+      ].join("\n")
+    ),
+  ].join("\n\n") + "\n";
+
+// Caption text without markup, used for search.
+const stripCueMarkup = (text) =>
+  text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\{\\[^}]+\}/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export { parseCaptions, validateCues, toWebVTT, stripCueMarkup, formatCueTime };
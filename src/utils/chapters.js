@@ -0,0 +1,112 @@
+// Chapter markers are { title, startTime } with startTime in seconds.
+
+const TIMESTAMP = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/;
+
+// "1:02:03" / "02:03" -> seconds, or null when the value is not a timestamp
+const parseTimestamp = (value) => {
+  const match = TIMESTAMP.exec(String(value).trim());
+
+  if (!match) return null;
+
+  const [, hours = "0", minutes, seconds] = match;
+
+  if (
+    Number(seconds) > 59 ||
+    (match[1] !== undefined && Number(minutes) > 59)
+  ) {
+    return null;
+  }
+
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+const formatTimestamp = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  const pad = (n) => String(n).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Picks up lines such as "00:00 Intro", "[1:05] - Setup" or "1:02:03 Outro".
+const CHAPTER_LINE =
+  /^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+const parseChaptersFromDescription = (description = "") => {
+  const chapters = [];
+
+  for (const line of String(description).split(/\r?\n/)) {
+    const match = CHAPTER_LINE.exec(line);
+    if (!match) continue;
+
+    const startTime = parseTimestamp(match[1]);
+    if (startTime === null) continue;
+
+    chapters.push({ title: match[2], startTime });
+  }
+
+  return chapters;
+};
+
+// Returns a list of problems; empty when the chapters are usable. A duration
+// of 0 means it is not known yet (still processing) and is not checked.
+const validateChapters = (chapters, duration = 0) => {
+  const errors = [];
+
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    return ["At least one chapter is required"];
+  }
+
+  chapters.forEach((chapter, index) => {
+    if (!chapter.title || String(chapter.title).trim() === "") {
+      errors.push(`Chapter ${index + 1} needs a title`);
+    }
+
+    if (!Number.isFinite(chapter.startTime) || chapter.startTime < 0) {
+      errors.push(`Chapter ${index + 1} has an invalid start time`);
+      return;
+    }
+
+    if (index === 0 && chapter.startTime !== 0) {
+      errors.push("The first chapter must start at 00:00");
+    }
+
+    if (index > 0 && chapter.startTime <= chapters[index - 1].startTime) {
+      errors.push(
+        `Chapter ${index + 1} must start after ${formatTimestamp(
+          chapters[index - 1].startTime
+        )}`
+      );
+    }
+
+    if (duration > 0 && chapter.startTime >= duration) {
+      errors.push(
+        `Chapter ${index + 1} starts after the end of the video (${formatTimestamp(
+          duration
+        )})`
+      );
+    }
+  });
+
+  return errors;
+};
+
+// Description chapters are best effort: anything invalid is simply ignored.
+const chaptersFromDescription = (description, duration = 0) => {
+  const chapters = parseChaptersFromDescription(description);
+
+  if (chapters.length === 0) return [];
+
+  return validateChapters(chapters, duration).length === 0 ? chapters : [];
+};
+
+export {
+  parseTimestamp,
+  formatTimestamp,
+  parseChaptersFromDescription,
+  validateChapters,
+  chaptersFromDescription,
+};
@@ -0,0 +1,22 @@
+import { sendMail } from "./mail/index.js";
+import { issueUserToken } from "./userTokens.js";
+import { APP_URL, EMAIL_VERIFICATION_TTL } from "../constant.js";
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user,
+    "verify-email",
+    EMAIL_VERIFICATION_TTL
+  );
+  const link = `${APP_URL.replace(/\/$/, "")}/verify-email?token=${token}`;
+  const hours = Math.round(EMAIL_VERIFICATION_TTL / (60 * 60 * 1000));
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Open this link to confirm your email address:\n\n${link}\n\nThe link expires in ${hours} hours. If you did not sign up, ignore this email.`,
+    html: `<p>Open this link to confirm your email address:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${hours} hours. If you did not sign up, ignore this email.</p>`,
+  });
+};
+
+export { sendVerificationEmail };
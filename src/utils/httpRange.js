@@ -0,0 +1,32 @@
+// Parses a `Range: bytes=...` header against a resource of `size` bytes.
+// Only the first range of a multi-range request is honoured.
+// Returns null when there is no usable header, -1 when the range cannot be
+// satisfied, or { start, end } (inclusive).
+const parseRangeHeader = (header, size) => {
+  if (!header || !header.startsWith("bytes=")) return null;
+
+  const [firstRange] = header.slice("bytes=".length).split(",");
+  const match = /^\s*(\d*)-(\d*)\s*$/.exec(firstRange);
+
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    // suffix range: the last N bytes
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return -1;
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return -1;
+
+  return { start, end };
+};
+
+export { parseRangeHeader };
@@ -0,0 +1,53 @@
+import { User } from "../models/user.model.js";
+import { APIResponse } from "./apiResponse.js";
+import { createSession } from "./sessions.js";
+import { startPendingLogin } from "./twoFactor.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+};
+
+const respondWithSession = async (req, res, user) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  const loggedInUser = await User.findById(user._id).select("-password");
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new APIResponse(
+        200,
+        {
+          user: loggedInUser,
+          accessToken,
+          refreshToken,
+        },
+        "User logged In Successfully"
+      )
+    );
+};
+
+// Called once the user proved who they are with a password or a login
+// provider. Accounts with two-factor authentication still need a code.
+const completeLogin = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    const mfaToken = await startPendingLogin(user);
+
+    return res
+      .status(200)
+      .json(
+        new APIResponse(
+          200,
+          { mfaRequired: true, mfaToken },
+          "Two-factor code required"
+        )
+      );
+  }
+
+  return respondWithSession(req, res, user);
+};
+
+export { completeLogin, respondWithSession };
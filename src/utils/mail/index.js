@@ -0,0 +1,42 @@
+import { createOutboxTransport } from "./outbox.transport.js";
+import { createSmtpTransport } from "./smtp.transport.js";
+
+// Every mail transport implements:
+//   send({ from, to, subject, text, html }) -> { id }
+const transportFactories = {
+  outbox: createOutboxTransport,
+  smtp: createSmtpTransport,
+};
+
+const transports = {};
+
+// The outbox delivers nothing, so production has to pick a transport.
+const defaultTransport = () =>
+  process.env.NODE_ENV === "production" ? null : "outbox";
+
+const getMailTransport = (
+  name = process.env.MAIL_TRANSPORT || defaultTransport()
+) => {
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT must be set in production (e.g. smtp)");
+  }
+  if (!transports[name]) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transports[name] = factory();
+  }
+  return transports[name];
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || "MyTube <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+export { getMailTransport, sendMail };
@@ -0,0 +1,30 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// For development and tests: messages are not delivered, only written as
+// JSON files when MAIL_OUTBOX_DIR is set. The console only gets the subject,
+// since bodies hold verification and reset links.
+const createOutboxTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR;
+
+  const send = async (message) => {
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+
+    if (outboxDir) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(outboxDir, `${id}.json`),
+        JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+      );
+    }
+
+    console.log(`Mail ${id} to ${message.to}: ${message.subject}`);
+
+    return { id };
+  };
+
+  return { send };
+};
+
+export { createOutboxTransport };
@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD,
+        }
+      : undefined,
+  });
+
+  const send = async ({ from, to, subject, text, html }) => {
+    const info = await transporter.sendMail({ from, to, subject, text, html });
+
+    return { id: info.messageId };
+  };
+
+  return { send };
+};
+
+export { createSmtpTransport };
@@ -0,0 +1,89 @@
+import { execFile } from "child_process";
+import fs from "fs";
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = stderr;
+          return reject(error);
+        }
+        resolve(stdout);
+      }
+    );
+  });
+
+const isMissingBinary = (error) => error?.code === "ENOENT";
+
+// Reads duration, resolution, codec and size of a local video file with
+// ffprobe. When ffprobe is not installed only the size is known; the
+// storage driver may still fill in the rest after transfer.
+const probeVideo = async (filePath) => {
+  const { size } = await fs.promises.stat(filePath);
+
+  let output;
+  try {
+    output = await run(process.env.FFPROBE_PATH || "ffprobe", [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ]);
+  } catch (error) {
+    if (isMissingBinary(error)) return { size, probed: false };
+    throw new Error(
+      `Could not read video metadata: ${error.stderr?.trim() || error.message}`
+    );
+  }
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+
+  if (!videoStream) {
+    throw new Error("File does not contain a video stream");
+  }
+
+  return {
+    size,
+    duration: Number(format.duration || videoStream.duration) || 0,
+    width: videoStream.width,
+    height: videoStream.height,
+    codec: videoStream.codec_name,
+    probed: true,
+  };
+};
+
+// Grabs a single frame as a JPEG. Resolves false when ffmpeg is unavailable.
+const extractFrame = async (filePath, outputPath, atSeconds = 0) => {
+  try {
+    await run(process.env.FFMPEG_PATH || "ffmpeg", [
+      "-y",
+      "-v",
+      "error",
+      "-ss",
+      String(atSeconds),
+      "-i",
+      filePath,
+      "-frames:v",
+      "1",
+      "-q:v",
+      "3",
+      outputPath,
+    ]);
+    return true;
+  } catch (error) {
+    if (isMissingBinary(error)) return false;
+    throw new Error(
+      `Could not generate poster frame: ${error.stderr?.trim() || error.message}`
+    );
+  }
+};
+
+export { probeVideo, extractFrame };
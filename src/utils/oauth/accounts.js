@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { User } from "../../models/user.model.js";
+import { OAuthIdentity } from "../../models/oauthIdentity.model.js";
+import { APIError } from "../apiError.js";
+import { uploadMedia } from "../storage/index.js";
+import { getOAuthProvider } from "./index.js";
+import { OAUTH_HTTP_TIMEOUT, TEMP_DIR } from "../../constant.js";
+
+const AVATAR_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+
+// The picture URL comes from the provider's profile, which a generic OIDC
+// provider may let users fill in, so only https URLs on the provider's own
+// image hosts (or their subdomains) are fetched.
+const isAllowedAvatarUrl = (pictureUrl, avatarHosts = []) => {
+  let url;
+  try {
+    url = new URL(pictureUrl);
+  } catch (error) {
+    return false;
+  }
+
+  return (
+    url.protocol === "https:" &&
+    avatarHosts.some(
+      (host) => url.hostname === host || url.hostname.endsWith(`.${host}`)
+    )
+  );
+};
+
+// Reads at most MAX_AVATAR_SIZE bytes, or returns null.
+const readAvatarBody = async (response) => {
+  if (Number(response.headers.get("content-length")) > MAX_AVATAR_SIZE) {
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_AVATAR_SIZE) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+// Copies the provider's profile picture into our own storage. Best effort:
+// the account is created without an avatar when this fails.
+const importAvatar = async (pictureUrl, avatarHosts) => {
+  if (!pictureUrl || !isAllowedAvatarUrl(pictureUrl, avatarHosts)) {
+    return null;
+  }
+
+  try {
+    // redirects could lead off the allowed hosts
+    const response = await fetch(pictureUrl, {
+      redirect: "error",
+      signal: AbortSignal.timeout(OAUTH_HTTP_TIMEOUT),
+    });
+    const contentType = response.headers.get("content-type")?.split(";")[0];
+    const extension = AVATAR_TYPES[contentType];
+
+    if (!response.ok || !extension) return null;
+
+    const body = await readAvatarBody(response);
+    if (!body) return null;
+
+    const localPath = path.join(
+      TEMP_DIR,
+      `${crypto.randomUUID()}-avatar${extension}`
+    );
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    await fs.promises.writeFile(localPath, body);
+
+    return await uploadMedia(localPath, { folder: "avatars" });
+  } catch (error) {
+    console.log("Avatar import failed ", error);
+    return null;
+  }
+};
+
+const pickUsername = async (profile) => {
+  const base =
+    String(profile.username || profile.email?.split("@")[0] || "user")
+      .toLowerCase()
+      .replace(/[^a-z0-9_.]/g, "")
+      .slice(0, 20) || "user";
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username =
+      attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+
+    if (!(await User.exists({ username }))) return username;
+  }
+
+  return `${base}${crypto.randomBytes(4).toString("hex")}`;
+};
+
+const linkOAuthIdentity = async (userId, provider, profile) => {
+  const existing = await OAuthIdentity.findOne({
+    provider,
+    subject: profile.subject,
+  });
+
+  if (existing) {
+    if (existing.user.toString() !== userId.toString()) {
+      throw new APIError(
+        409,
+        `This ${provider} account is linked to another user`
+      );
+    }
+    return existing;
+  }
+
+  if (await OAuthIdentity.exists({ user: userId, provider })) {
+    throw new APIError(
+      409,
+      `Another ${provider} account is already linked, unlink it first`
+    );
+  }
+
+  return OAuthIdentity.create({
+    user: userId,
+    provider,
+    subject: profile.subject,
+    email: profile.email,
+    username: profile.username,
+  });
+};
+
+// The user behind a provider login: the one already linked to the
+// identity, an existing account with the same verified email, or a new
+// account.
+const findOrCreateOAuthUser = async (provider, profile) => {
+  const identity = await OAuthIdentity.findOne({
+    provider,
+    subject: profile.subject,
+  });
+
+  if (identity) {
+    const user = await User.findById(identity.user);
+    if (user) return user;
+
+    await identity.deleteOne();
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new APIError(
+      400,
+      `Your ${provider} account has no verified email address`
+    );
+  }
+
+  const email = profile.email.toLowerCase();
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // an unverified address may have been registered by someone else
+    if (!existingUser.emailVerified) {
+      throw new APIError(
+        409,
+        "An account with this email already exists, log in with its password and link the provider from there"
+      );
+    }
+
+    await linkOAuthIdentity(existingUser._id, provider, profile);
+    return existingUser;
+  }
+
+  const username = await pickUsername(profile);
+
+  const user = await User.create({
+    username,
+    fullName: profile.name || username,
+    email,
+    emailVerified: true,
+    avatar:
+      (await importAvatar(
+        profile.picture,
+        getOAuthProvider(provider).avatarHosts
+      )) || undefined,
+  });
+
+  await linkOAuthIdentity(user._id, provider, profile);
+
+  return user;
+};
+
+export { findOrCreateOAuthUser, linkOAuthIdentity };
@@ -0,0 +1,61 @@
+import { exchangeAuthorizationCode, fetchJson } from "./http.js";
+
+// GitHub speaks plain OAuth 2.0 without ID tokens, so the profile and the
+// verified primary email come from its REST API.
+const createGithubProvider = () => {
+  const clientId = process.env.GITHUB_CLIENT_ID;
+  const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+
+  if (!clientId) {
+    throw new Error("GITHUB_CLIENT_ID is required for the github provider");
+  }
+
+  const getAuthorizationUrl = async ({ state, codeChallenge, redirectUri }) => {
+    const url = new URL("https://github.com/login/oauth/authorize");
+
+    url.search = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: "read:user user:email",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    });
+
+    return url.toString();
+  };
+
+  const getProfile = async ({ code, codeVerifier, redirectUri }) => {
+    const { access_token } = await exchangeAuthorizationCode(
+      "https://github.com/login/oauth/access_token",
+      { clientId, clientSecret, code, codeVerifier, redirectUri }
+    );
+
+    const headers = { Authorization: `Bearer ${access_token}` };
+
+    const [account, emails] = await Promise.all([
+      fetchJson("https://api.github.com/user", { headers }),
+      fetchJson("https://api.github.com/user/emails", { headers }),
+    ]);
+
+    const primaryEmail = emails.find((email) => email.primary);
+
+    return {
+      subject: String(account.id),
+      email: primaryEmail?.email,
+      emailVerified: primaryEmail?.verified === true,
+      name: account.name,
+      username: account.login,
+      picture: account.avatar_url,
+    };
+  };
+
+  return {
+    name: "github",
+    avatarHosts: ["avatars.githubusercontent.com"],
+    getAuthorizationUrl,
+    getProfile,
+  };
+};
+
+export { createGithubProvider };
@@ -0,0 +1,53 @@
+import { OAUTH_HTTP_TIMEOUT } from "../../constant.js";
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(OAUTH_HTTP_TIMEOUT),
+    ...options,
+    headers: {
+      Accept: "application/json",
+      "User-Agent": "MyTube",
+      ...options.headers,
+    },
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    throw new Error(
+      `${options.method || "GET"} ${url} failed with status ${response.status}`
+    );
+  }
+
+  return body;
+};
+
+// Authorization code grant with the PKCE verifier (RFC 7636). Providers
+// report some failures with a 200 and an `error` field.
+const exchangeAuthorizationCode = async (
+  tokenUrl,
+  { clientId, clientSecret, code, codeVerifier, redirectUri }
+) => {
+  const tokens = await fetchJson(tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier,
+      ...(clientSecret && { client_secret: clientSecret }),
+    }),
+  });
+
+  if (tokens.error || !tokens.access_token) {
+    throw new Error(
+      `Token exchange failed: ${tokens.error_description || tokens.error}`
+    );
+  }
+
+  return tokens;
+};
+
+export { fetchJson, exchangeAuthorizationCode };
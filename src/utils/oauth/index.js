@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import { OAuthState } from "../../models/oauthState.model.js";
+import { APIError } from "../apiError.js";
+import { createGithubProvider } from "./github.provider.js";
+import {
+  createGenericOidcProvider,
+  createGoogleProvider,
+} from "./oidc.provider.js";
+import { OAUTH_REDIRECT_URL, OAUTH_STATE_TTL } from "../../constant.js";
+
+// Every OAuth provider implements:
+//   getAuthorizationUrl({ state, codeChallenge, nonce, redirectUri }) -> url
+//   getProfile({ code, codeVerifier, nonce, redirectUri })
+//     -> { subject, email, emailVerified, name, username, picture }
+//   avatarHosts: hosts the profile picture may be downloaded from
+// A provider is offered once its <NAME>_CLIENT_ID is set.
+const providerFactories = {
+  github: createGithubProvider,
+  google: createGoogleProvider,
+  oidc: createGenericOidcProvider,
+};
+
+const providers = {};
+
+const isProviderConfigured = (name) =>
+  Object.hasOwn(providerFactories, name) &&
+  Boolean(process.env[`${name.toUpperCase()}_CLIENT_ID`]);
+
+const listOAuthProviders = () =>
+  Object.keys(providerFactories).filter(isProviderConfigured);
+
+const getOAuthProvider = (name) => {
+  if (!isProviderConfigured(name)) {
+    throw new APIError(404, `Unknown login provider "${name}"`);
+  }
+  if (!providers[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+};
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Returns the URL to send the browser to. The state is also handed back so
+// the caller can tie it to the browser that started the flow.
+const startAuthorization = async (providerName, { mode, userId }) => {
+  const provider = getOAuthProvider(providerName);
+
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const nonce = randomToken();
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    state,
+    nonce,
+    codeChallenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+    redirectUri: OAUTH_REDIRECT_URL,
+  });
+
+  await OAuthState.create({
+    state,
+    provider: providerName,
+    mode,
+    user: userId,
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL),
+  });
+
+  return { state, authorizationUrl };
+};
+
+// Redeems the state (once) and the authorization code for the provider's
+// profile of the user.
+const completeAuthorization = async ({ code, state, mode, userId }) => {
+  if (!code || !state) {
+    throw new APIError(400, "code and state are required");
+  }
+
+  const pending = await OAuthState.findOneAndDelete({
+    state,
+    mode,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (
+    !pending ||
+    (mode === "link" && pending.user?.toString() !== userId?.toString())
+  ) {
+    throw new APIError(400, "Login request is invalid or has expired");
+  }
+
+  let profile;
+  try {
+    profile = await getOAuthProvider(pending.provider).getProfile({
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+      redirectUri: OAUTH_REDIRECT_URL,
+    });
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.log("OAuth login failed ", error);
+    throw new APIError(401, "Login with the provider failed");
+  }
+
+  return { provider: pending.provider, profile };
+};
+
+export {
+  listOAuthProviders,
+  getOAuthProvider,
+  startAuthorization,
+  completeAuthorization,
+};
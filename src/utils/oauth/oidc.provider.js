@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { exchangeAuthorizationCode, fetchJson } from "./http.js";
+
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "ES256",
+  "ES384",
+  "PS256",
+];
+
+// Any OpenID Connect provider, configured through its discovery document.
+// ID tokens are checked against the provider's published signing keys.
+const createOidcProvider = ({
+  name,
+  issuer,
+  clientId,
+  clientSecret,
+  scopes = ["openid", "email", "profile"],
+  avatarHosts = [],
+}) => {
+  if (!issuer || !clientId) {
+    throw new Error(`The ${name} OAuth provider needs an issuer and client ID`);
+  }
+
+  let discovery;
+  let signingKeys = new Map();
+
+  const discover = async () => {
+    if (!discovery) {
+      discovery = await fetchJson(
+        `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+      );
+    }
+    return discovery;
+  };
+
+  const loadSigningKeys = async () => {
+    const { jwks_uri } = await discover();
+    const { keys = [] } = await fetchJson(jwks_uri);
+
+    signingKeys = new Map(
+      keys
+        .filter((key) => !key.use || key.use === "sig")
+        .map((key) => [key.kid, crypto.createPublicKey({ key, format: "jwk" })])
+    );
+  };
+
+  // keys are reloaded once when the ID is unknown, to pick up rotations
+  const getSigningKey = async (kid) => {
+    if (!signingKeys.has(kid)) await loadSigningKeys();
+
+    const key =
+      signingKeys.get(kid) ||
+      (kid === undefined && signingKeys.size === 1
+        ? [...signingKeys.values()][0]
+        : null);
+
+    if (!key) throw new Error(`Unknown ID token signing key "${kid}"`);
+
+    return key;
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) throw new Error("Malformed ID token");
+
+    const claims = jwt.verify(
+      idToken,
+      await getSigningKey(decoded.header.kid),
+      {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        audience: clientId,
+        issuer: (await discover()).issuer,
+      }
+    );
+
+    if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+
+    return claims;
+  };
+
+  const getAuthorizationUrl = async ({
+    state,
+    codeChallenge,
+    nonce,
+    redirectUri,
+  }) => {
+    const url = new URL((await discover()).authorization_endpoint);
+
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes.join(" "),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    });
+
+    return url.toString();
+  };
+
+  const getProfile = async ({ code, codeVerifier, nonce, redirectUri }) => {
+    const { token_endpoint, userinfo_endpoint } = await discover();
+
+    const tokens = await exchangeAuthorizationCode(token_endpoint, {
+      clientId,
+      clientSecret,
+      code,
+      codeVerifier,
+      redirectUri,
+    });
+
+    if (!tokens.id_token) throw new Error("No ID token in the token response");
+
+    let claims = await verifyIdToken(tokens.id_token, nonce);
+
+    // some providers leave profile claims out of the ID token
+    if (!claims.email && userinfo_endpoint) {
+      const userInfo = await fetchJson(userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+
+      if (userInfo.sub === claims.sub) claims = { ...userInfo, ...claims };
+    }
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email,
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === "true",
+      name: claims.name,
+      username: claims.preferred_username || claims.nickname,
+      picture: claims.picture,
+    };
+  };
+
+  return { name, avatarHosts, getAuthorizationUrl, getProfile };
+};
+
+const createGoogleProvider = () =>
+  createOidcProvider({
+    name: "google",
+    issuer: "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    avatarHosts: ["googleusercontent.com"],
+  });
+
+const createGenericOidcProvider = () =>
+  createOidcProvider({
+    name: "oidc",
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scopes: process.env.OIDC_SCOPES?.split(/[\s,]+/).filter(Boolean),
+    // no avatars unless the provider's image hosts are listed
+    avatarHosts: process.env.OIDC_AVATAR_HOSTS?.split(/[\s,]+/).filter(Boolean),
+  });
+
+export { createOidcProvider, createGoogleProvider, createGenericOidcProvider };
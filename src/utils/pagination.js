@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import { APIError } from "./apiError.js";
+
+// Cursor pagination for aggregations. A cursor is an opaque token holding
+// the sort key values of the item it points at, so pages stay stable while
+// items are added or removed. Every list answers with:
+//   { docs, limit, hasMore, nextCursor, prevCursor }
+// `after=nextCursor` fetches the following page, `before=prevCursor` the
+// previous one, and `hasMore` tells whether the list goes on in the
+// direction that was asked for.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value?._bsontype === "ObjectId") return { $oid: value.toString() };
+  return value ?? null;
+};
+
+// Only plain values make it into the $match, so a forged cursor cannot
+// smuggle in query operators.
+const decodeValue = (value) => {
+  if (
+    value === null ||
+    ["string", "number", "boolean"].includes(typeof value)
+  ) {
+    return value;
+  }
+
+  const keys = value && typeof value === "object" ? Object.keys(value) : [];
+
+  if (keys.length === 1 && keys[0] === "$date") {
+    const date = new Date(value.$date);
+    if (typeof value.$date === "string" && !Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+
+  if (
+    keys.length === 1 &&
+    keys[0] === "$oid" &&
+    typeof value.$oid === "string" &&
+    mongoose.Types.ObjectId.isValid(value.$oid)
+  ) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+
+  throw new Error("Invalid cursor value");
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const encodeCursor = (doc, sortKeys) =>
+  Buffer.from(
+    JSON.stringify({
+      k: sortKeys,
+      v: sortKeys.map((key) => encodeValue(getPath(doc, key))),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sortKeys) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    throw new APIError(400, "Invalid cursor");
+  }
+
+  if (!Array.isArray(parsed?.v) || !Array.isArray(parsed?.k)) {
+    throw new APIError(400, "Invalid cursor");
+  }
+
+  if (
+    parsed.k.join(",") !== sortKeys.join(",") ||
+    parsed.v.length !== sortKeys.length
+  ) {
+    throw new APIError(400, "Cursor does not match the requested sort order");
+  }
+
+  try {
+    return parsed.v.map(decodeValue);
+  } catch (error) {
+    throw new APIError(400, "Invalid cursor");
+  }
+};
+
+const parseLimit = (value, defaultLimit) => {
+  if (value === undefined || value === "") return defaultLimit;
+
+  const limit = Number(value);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new APIError(
+      400,
+      `limit must be a whole number between 1 and ${MAX_LIMIT}`
+    );
+  }
+
+  return limit;
+};
+
+// Null and missing values sort before everything else, but $gt/$lt never
+// match across types, so they are spelled out: ascending, everything not
+// null is past a null; descending, nothing is past a null and nulls are
+// past any value.
+const beyond = (key, direction, value) => {
+  if (direction === 1) {
+    return value === null
+      ? { [key]: { $ne: null } }
+      : { [key]: { $gt: value } };
+  }
+
+  return value === null
+    ? null
+    : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+// Items strictly past the cursor in sort order: for keys (a, b) that is
+// a beyond the cursor, or a equal and b beyond.
+const cursorMatch = (sort, values) => ({
+  $or: Object.entries(sort)
+    .map(([key, direction], index) => {
+      const condition = beyond(key, direction, values[index]);
+
+      return (
+        condition && {
+          $and: [
+            ...Object.keys(sort)
+              .slice(0, index)
+              .map((previousKey, i) => ({ [previousKey]: values[i] })),
+            condition,
+          ],
+        }
+      );
+    })
+    .filter(Boolean),
+});
+
+const reverseSort = (sort) =>
+  Object.fromEntries(
+    Object.entries(sort).map(([key, direction]) => [key, -direction])
+  );
+
+// `pipeline` filters the items and must produce every sort key; `stages`
+// (lookups, projections) only run for the items on the page. The sort keys
+// have to survive `stages` since the cursors are read from the results.
+// _id is added as the final tie breaker when the sort does not end in a
+// unique key.
+//
+// `pipeline` can also be a function of the page's { match, sort, limit }
+// stages, for pipelines that have to narrow each $unionWith branch to the
+// page themselves.
+const paginateWithCursor = async (
+  Model,
+  { pipeline = [], sort = { createdAt: -1 }, stages = [], query = {} },
+  { defaultLimit = DEFAULT_LIMIT } = {}
+) => {
+  const { after, before } = query;
+
+  if (after && before) {
+    throw new APIError(400, "Use either after or before, not both");
+  }
+
+  const limit = parseLimit(query.limit, defaultLimit);
+
+  const fullSort =
+    "_id" in sort ? sort : { ...sort, _id: Object.values(sort).at(-1) ?? -1 };
+  const sortKeys = Object.keys(fullSort);
+
+  const cursor = after || before;
+  const backwards = Boolean(before);
+  const pageSort = backwards ? reverseSort(fullSort) : fullSort;
+
+  const pageStages = {
+    match: cursor
+      ? { $match: cursorMatch(pageSort, decodeCursor(cursor, sortKeys)) }
+      : { $match: {} },
+    sort: { $sort: pageSort },
+    limit: { $limit: limit + 1 },
+  };
+
+  const results = await Model.aggregate([
+    ...(typeof pipeline === "function" ? pipeline(pageStages) : pipeline),
+    ...(cursor ? [pageStages.match] : []),
+    pageStages.sort,
+    pageStages.limit,
+    ...stages,
+  ]);
+
+  const hasMore = results.length > limit;
+  const docs = results.slice(0, limit);
+
+  if (backwards) docs.reverse();
+
+  const first = docs[0];
+  const last = docs.at(-1);
+
+  // moving forwards there is an earlier page whenever a cursor was given;
+  // moving backwards the page came from somewhere, so there is a later one
+  const hasNext = backwards ? docs.length > 0 : hasMore;
+  const hasPrevious = backwards ? hasMore : Boolean(after) && docs.length > 0;
+
+  return {
+    docs,
+    limit,
+    hasMore,
+    nextCursor: hasNext ? encodeCursor(last, sortKeys) : null,
+    prevCursor: hasPrevious ? encodeCursor(first, sortKeys) : null,
+  };
+};
+
+export { paginateWithCursor };
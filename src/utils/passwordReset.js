@@ -0,0 +1,55 @@
+import { User } from "../models/user.model.js";
+import { sendMail } from "./mail/index.js";
+import { issueUserToken, lastUserTokenIssuedAt } from "./userTokens.js";
+import {
+  APP_URL,
+  PASSWORD_RESET_REQUEST_INTERVAL,
+  PASSWORD_RESET_TTL,
+} from "../constant.js";
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(
+    user,
+    "reset-password",
+    PASSWORD_RESET_TTL
+  );
+  const link = `${APP_URL.replace(/\/$/, "")}/reset-password?token=${token}`;
+  const minutes = Math.round(PASSWORD_RESET_TTL / (60 * 1000));
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Open this link to choose a new password:\n\n${link}\n\nThe link expires in ${minutes} minutes. If you did not ask for a password reset, ignore this email.`,
+    html: `<p>Open this link to choose a new password:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${minutes} minutes. If you did not ask for a password reset, ignore this email.</p>`,
+  });
+};
+
+// Every lookup happens here, after the response went out: no account and a
+// link sent less than PASSWORD_RESET_REQUEST_INTERVAL ago both end quietly.
+const requestPasswordResetEmail = async (email) => {
+  const user = await User.findOne({ email });
+
+  if (!user) return;
+
+  const lastSentAt = await lastUserTokenIssuedAt(user._id, "reset-password");
+
+  if (
+    lastSentAt &&
+    Date.now() - lastSentAt.getTime() < PASSWORD_RESET_REQUEST_INTERVAL
+  ) {
+    return;
+  }
+
+  await sendPasswordResetEmail(user);
+};
+
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: "Your password was changed",
+    text: `The password for your account was just changed and your other devices were signed out. If this was not you, reset your password right away.`,
+    html: `<p>The password for your account was just changed and your other devices were signed out. If this was not you, reset your password right away.</p>`,
+  });
+};
+
+export { requestPasswordResetEmail, sendPasswordChangedEmail };
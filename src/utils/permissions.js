@@ -0,0 +1,83 @@
+import { User } from "../models/user.model.js";
+import { APIError } from "./apiError.js";
+import { ROLES } from "../constant.js";
+
+// What each role may do beyond managing its own content. Every role also
+// has the permissions of the roles below it, and admins may do anything.
+const ROLE_PERMISSIONS = {
+  user: [],
+  creator: ["video:thumbnail-test"],
+  moderator: [
+    "video:delete",
+    // setting a public video private; publishing stays with owners and admins
+    "video:take-down",
+    "comment:delete",
+    "tweet:delete",
+    "playlist:delete",
+  ],
+  admin: ["*"],
+};
+
+const permissionsByRole = Object.fromEntries(
+  ROLES.map((role, index) => [
+    role,
+    new Set(
+      ROLES.slice(0, index + 1).flatMap((lower) => ROLE_PERMISSIONS[lower])
+    ),
+  ])
+);
+
+const hasPermission = (user, permission) => {
+  const permissions = permissionsByRole[user?.role || "user"];
+
+  return !!permissions && (permissions.has("*") || permissions.has(permission));
+};
+
+const isOwner = (user, resource) =>
+  !!user && resource?.owner?.toString() === user._id.toString();
+
+// The ownership check for controllers: owners may act on their own
+// resources, anyone else needs `permission`.
+const authorize = (
+  user,
+  resource,
+  permission,
+  message = "You are not authorized to perform this action"
+) => {
+  if (isOwner(user, resource) || hasPermission(user, permission)) return;
+
+  throw new APIError(403, message);
+};
+
+// Makes the verified accounts listed in ADMIN_EMAILS admins, so a new
+// deployment has someone who can hand out roles.
+const grantConfiguredAdmins = async () => {
+  const emails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (emails.length === 0) return;
+
+  await User.updateMany(
+    { email: { $in: emails }, emailVerified: true, role: { $ne: "admin" } },
+    { $set: { role: "admin" } }
+  );
+};
+
+// Uploading a video makes a plain user a creator, the same rule migration
+// 007 applied to existing uploaders. Higher roles are left alone.
+const promoteToCreator = (userId) =>
+  User.updateOne(
+    { _id: userId, role: { $in: ["user", null] } },
+    { $set: { role: "creator" } }
+  );
+
+export {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isOwner,
+  authorize,
+  grantConfiguredAdmins,
+  promoteToCreator,
+};
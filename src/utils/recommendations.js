@@ -0,0 +1,209 @@
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { User } from "../models/user.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { analyze } from "./search/analyzer.js";
+import { getSearchBackend } from "./search/index.js";
+
+// How much each signal adds to a candidate's score. Co-engagement counts are
+// log scaled so a handful of heavy users cannot dominate.
+const WEIGHTS = {
+  coLiked: 3,
+  coWatched: 2,
+  sameChannel: 1.5,
+  sharedTags: 2,
+  titleSimilarity: 2,
+  popularity: 0.1,
+};
+
+// Bounds on how much engagement data is read per request
+const MAX_CO_ENGAGED_USERS = 500;
+const CANDIDATES_PER_SIGNAL = 100;
+
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  const shared = [...setA].filter((item) => setB.has(item)).length;
+
+  return shared / (setA.size + setB.size - shared);
+};
+
+const countsById = (entries) =>
+  new Map(entries.map((entry) => [entry._id.toString(), entry.count]));
+
+// Videos liked by people who also liked this one
+const coLikedVideos = async (videoId) => {
+  const likes = await Like.find({ video: videoId })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CO_ENGAGED_USERS)
+    .select("likedBy")
+    .lean();
+
+  if (likes.length === 0) return new Map();
+
+  const likers = likes.map((like) => like.likedBy);
+
+  return countsById(
+    await Like.aggregate([
+      {
+        $match: {
+          likedBy: { $in: likers },
+          video: { $exists: true, $ne: videoId },
+        },
+      },
+      { $group: { _id: "$video", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: CANDIDATES_PER_SIGNAL },
+    ])
+  );
+};
+
+// Videos in the watch history of people who also watched this one
+const coWatchedVideos = async (videoId) => {
+  const entries = await WatchHistory.find({ video: videoId })
+    .sort({ watchedAt: -1 })
+    .limit(MAX_CO_ENGAGED_USERS)
+    .select("user")
+    .lean();
+
+  if (entries.length === 0) return new Map();
+
+  const watchers = entries.map((entry) => entry.user);
+
+  return countsById(
+    await WatchHistory.aggregate([
+      {
+        $match: {
+          user: { $in: watchers },
+          video: { $ne: videoId },
+        },
+      },
+      { $group: { _id: "$video", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: CANDIDATES_PER_SIGNAL },
+    ])
+  );
+};
+
+const similarTitleVideos = async (video, viewer) => {
+  const { stages } = await getSearchBackend("builtin").search(video.title, {
+    match: {
+      ...Video.listableMatch(viewer?._id),
+      status: "ready",
+      _id: { $ne: video._id },
+    },
+  });
+
+  const matches = await Video.aggregate([
+    ...stages,
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: CANDIDATES_PER_SIGNAL },
+    { $project: { _id: 1 } },
+  ]);
+
+  return matches.map((match) => match._id);
+};
+
+// Ranks videos to watch after `video`. Candidates come from co-engagement,
+// the same channel, shared tags and similar titles; the viewer's watch
+// history and anything they may not list are left out. Ties are broken by
+// views and then by ID so the order is stable.
+const recommendVideos = async (video, viewer, { limit = 10 } = {}) => {
+  const [coLiked, coWatched, similarTitles, watched] = await Promise.all([
+    coLikedVideos(video._id),
+    coWatchedVideos(video._id),
+    similarTitleVideos(video, viewer),
+    viewer ? WatchHistory.distinct("video", { user: viewer._id }) : [],
+  ]);
+
+  const baseMatch = {
+    $and: [
+      Video.listableMatch(viewer?._id),
+      { status: "ready" },
+      { _id: { $nin: [video._id, ...watched] } },
+    ],
+  };
+
+  const findCandidates = (filter, limit) =>
+    Video.find({ ...baseMatch, ...filter })
+      .sort({ views: -1, _id: 1 })
+      .limit(limit)
+      .select(
+        "title thumbnail thumbnailTest duration views tags owner createdAt"
+      )
+      .lean();
+
+  const engagedIds = [
+    ...new Set([
+      ...coLiked.keys(),
+      ...coWatched.keys(),
+      ...similarTitles.map((id) => id.toString()),
+    ]),
+  ];
+
+  const candidateGroups = await Promise.all([
+    findCandidates({ _id: { $in: engagedIds } }, engagedIds.length),
+    findCandidates({ owner: video.owner }, CANDIDATES_PER_SIGNAL),
+    video.tags?.length
+      ? findCandidates({ tags: { $in: video.tags } }, CANDIDATES_PER_SIGNAL)
+      : [],
+  ]);
+
+  const candidates = [
+    ...new Map(
+      candidateGroups
+        .flat()
+        .map((candidate) => [candidate._id.toString(), candidate])
+    ).values(),
+  ];
+
+  const titleTerms = analyze(video.title);
+
+  const ranked = candidates
+    .map((candidate) => {
+      const id = candidate._id.toString();
+      const signals = {
+        coLiked: Math.log1p(coLiked.get(id) || 0),
+        coWatched: Math.log1p(coWatched.get(id) || 0),
+        sameChannel:
+          candidate.owner.toString() === video.owner.toString() ? 1 : 0,
+        sharedTags: jaccard(candidate.tags, video.tags),
+        titleSimilarity: jaccard(analyze(candidate.title), titleTerms),
+        popularity: Math.log10((candidate.views || 0) + 1),
+      };
+
+      const score = Object.entries(signals).reduce(
+        (sum, [signal, value]) => sum + WEIGHTS[signal] * value,
+        0
+      );
+
+      return { ...candidate, score };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.views || 0) - (a.views || 0) ||
+        a._id.toString().localeCompare(b._id.toString())
+    )
+    .slice(0, limit);
+
+  const owners = await User.find({
+    _id: { $in: ranked.map((candidate) => candidate.owner) },
+  })
+    .select("username fullName avatar")
+    .lean();
+
+  const ownersById = new Map(
+    owners.map((owner) => [owner._id.toString(), owner])
+  );
+
+  return ranked.map(({ tags, ...candidate }) => ({
+    ...candidate,
+    owner: ownersById.get(candidate.owner.toString()) || null,
+  }));
+};
+
+export { recommendVideos };
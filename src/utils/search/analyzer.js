@@ -0,0 +1,220 @@
+// Text analysis shared by the search index and queries: text is split into
+// lowercase tokens without diacritics, stop words are dropped and English
+// words are reduced to their Porter stem ("Cooking Videos" -> cook, video).
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have how i in is it its of " +
+    "on or our so that the their this to was we were what when which who " +
+    "will with you your"
+  ).split(" ")
+);
+
+const MAX_TOKEN_LENGTH = 40;
+
+const TOKEN = /[\p{L}\p{N}]+/gu;
+
+// Tokens with their position in the original text, so matches can be
+// highlighted without re-tokenizing.
+const tokenizeWithOffsets = (text = "") => {
+  const tokens = [];
+
+  for (const match of String(text).matchAll(TOKEN)) {
+    const token = match[0]
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase();
+
+    if (token.length > MAX_TOKEN_LENGTH) continue;
+
+    tokens.push({
+      token,
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return tokens;
+};
+
+const tokenize = (text) => tokenizeWithOffsets(text).map(({ token }) => token);
+
+// Porter (1980) stemmer
+const consonant = "[^aeiou]";
+const vowel = "[aeiouy]";
+const consonants = consonant + "[^aeiouy]*";
+const vowels = vowel + "[aeiou]*";
+
+const MEASURE_GT_0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const MEASURE_EQ_1 = new RegExp(
+  `^(${consonants})?${vowels}${consonants}(${vowels})?$`
+);
+const MEASURE_GT_1 = new RegExp(
+  `^(${consonants})?${vowels}${consonants}${vowels}${consonants}`
+);
+const HAS_VOWEL = new RegExp(`^(${consonants})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+const STEP_2 = {
+  ational: "ate",
+  tional: "tion",
+  enci: "ence",
+  anci: "ance",
+  izer: "ize",
+  bli: "ble",
+  alli: "al",
+  entli: "ent",
+  eli: "e",
+  ousli: "ous",
+  ization: "ize",
+  ation: "ate",
+  ator: "ate",
+  alism: "al",
+  iveness: "ive",
+  fulness: "ful",
+  ousness: "ous",
+  aliti: "al",
+  iviti: "ive",
+  biliti: "ble",
+  logi: "log",
+};
+
+const STEP_3 = {
+  icate: "ic",
+  ative: "",
+  alize: "al",
+  iciti: "ic",
+  ical: "ic",
+  ful: "",
+  ness: "",
+};
+
+const STEP_2_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP_2).join("|")})$`);
+const STEP_3_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP_3).join("|")})$`);
+const STEP_4_SUFFIX =
+  /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+const stem = (word) => {
+  // numbers, short words and non-latin scripts are kept as they are
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  let match;
+
+  const startsWithY = w[0] === "y";
+  if (startsWithY) w = "Y" + w.slice(1);
+
+  // step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    if (HAS_VOWEL.test(match[1])) {
+      w = match[1];
+
+      if (/(at|bl|iz)$/.test(w)) {
+        w += "e";
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (ENDS_CVC.test(w)) {
+        w += "e";
+      }
+    }
+  }
+
+  // step 1c: -y
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + "i";
+  }
+
+  if ((match = STEP_2_SUFFIX.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP_2[match[2]];
+  }
+
+  if ((match = STEP_3_SUFFIX.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP_3[match[2]];
+  }
+
+  if ((match = STEP_4_SUFFIX.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // step 5: trailing -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (
+      MEASURE_GT_1.test(base) ||
+      (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))
+    ) {
+      w = base;
+    }
+  }
+
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  if (startsWithY) w = "y" + w.slice(1);
+
+  return w;
+};
+
+const MAX_QUERY_LENGTH = 100;
+
+// Lowercased, single spaced and trimmed to a sane length. Used for search
+// suggestions, which match on the whole text rather than on tokens.
+const normalizeQuery = (query) =>
+  String(query || "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .slice(0, MAX_QUERY_LENGTH);
+
+const isSearchable = (token) => !STOP_WORDS.has(token);
+
+// Text -> index terms, in order and with repeats
+const analyze = (text) => tokenize(text).filter(isSearchable).map(stem);
+
+// Levenshtein distance, giving up (returns maxDistance + 1) as soon as it
+// cannot stay within maxDistance.
+const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+export {
+  analyze,
+  editDistance,
+  isSearchable,
+  normalizeQuery,
+  stem,
+  tokenize,
+  tokenizeWithOffsets,
+};
@@ -0,0 +1,30 @@
+import { analyze } from "./analyzer.js";
+
+// Atlas Search, using the `search-videos` index on title and description.
+// Only available on MongoDB Atlas.
+const createAtlasBackend = () => ({
+  name: "atlas",
+
+  search: async (query, { match } = {}) => ({
+    stages: [
+      {
+        $search: {
+          index: "search-videos",
+          text: {
+            query,
+            path: ["title", "description"],
+          },
+        },
+      },
+      ...(match ? [{ $match: match }] : []),
+      {
+        $addFields: {
+          score: { $meta: "searchScore" },
+        },
+      },
+    ],
+    terms: analyze(query),
+  }),
+});
+
+export { createAtlasBackend };
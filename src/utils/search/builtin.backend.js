@@ -0,0 +1,310 @@
+import { SearchDocument } from "../../models/searchDocument.model.js";
+import { SearchTerm } from "../../models/searchTerm.model.js";
+import { analyze, editDistance } from "./analyzer.js";
+import { SEARCH_MAX_CANDIDATES } from "../../constant.js";
+
+// BM25F over the SearchDocument/SearchTerm collections, so it runs on any
+// MongoDB. Matches in the title count three times as much as in the
+// description.
+const FIELD_BOOSTS = { title: 3, description: 1 };
+const K1 = 1.2;
+const B = 0.75;
+
+// A corrected term scores this much less per edit
+const TYPO_PENALTY = 0.25;
+const MAX_CORRECTIONS = 10;
+const STATS_TTL = 60 * 1000;
+
+const SEARCHABLE_FIELDS = Object.keys(FIELD_BOOSTS);
+
+const buildSearchDocument = (video) => {
+  const postings = [];
+  const fieldLengths = {};
+
+  for (const field of SEARCHABLE_FIELDS) {
+    const terms = analyze(video[field] || "");
+    const frequencies = new Map();
+
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      postings.push({ term, field, frequency });
+    }
+
+    fieldLengths[field] = terms.length;
+  }
+
+  return { postings, fieldLengths };
+};
+
+const uniqueTerms = (postings = []) => [
+  ...new Set(postings.map((posting) => posting.term)),
+];
+
+const adjustDocumentCounts = async (terms, delta) => {
+  if (terms.length === 0) return;
+
+  await SearchTerm.bulkWrite(
+    terms.map((term) => ({
+      updateOne: {
+        filter: { term },
+        update: {
+          $inc: { documentCount: delta },
+          $setOnInsert: { length: term.length },
+        },
+        upsert: delta > 0,
+      },
+    }))
+  );
+
+  if (delta < 0) {
+    await SearchTerm.deleteMany({
+      term: { $in: terms },
+      documentCount: { $lte: 0 },
+    });
+  }
+};
+
+const indexVideo = async (video) => {
+  const { postings, fieldLengths } = buildSearchDocument(video);
+
+  // the previous version tells which terms the video gained or lost
+  const previous = await SearchDocument.findOneAndUpdate(
+    { video: video._id },
+    { $set: { postings, fieldLengths } },
+    { upsert: true }
+  );
+
+  const previousTerms = uniqueTerms(previous?.postings);
+  const terms = uniqueTerms(postings);
+
+  await adjustDocumentCounts(
+    terms.filter((term) => !previousTerms.includes(term)),
+    1
+  );
+  await adjustDocumentCounts(
+    previousTerms.filter((term) => !terms.includes(term)),
+    -1
+  );
+};
+
+const removeVideo = async (videoId) => {
+  const previous = await SearchDocument.findOneAndDelete({ video: videoId });
+
+  if (!previous) return;
+
+  await adjustDocumentCounts(uniqueTerms(previous.postings), -1);
+};
+
+let statsCache = null;
+
+// Document count and average field lengths; they move slowly, so they are
+// cached for a minute instead of being aggregated on every query.
+const getIndexStats = async () => {
+  if (statsCache && statsCache.expiresAt > Date.now()) return statsCache;
+
+  const [stats] = await SearchDocument.aggregate([
+    {
+      $group: {
+        _id: null,
+        documentCount: { $sum: 1 },
+        title: { $avg: "$fieldLengths.title" },
+        description: { $avg: "$fieldLengths.description" },
+      },
+    },
+  ]);
+
+  statsCache = {
+    documentCount: stats?.documentCount || 0,
+    averageLengths: {
+      title: stats?.title || 1,
+      description: stats?.description || 1,
+    },
+    expiresAt: Date.now() + STATS_TTL,
+  };
+
+  return statsCache;
+};
+
+// Indexed terms close enough to a query term to count as a typo of it.
+// Short terms must match exactly and the first letter is trusted, which
+// keeps the vocabulary scan small.
+const findCorrections = async (term) => {
+  const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+  if (maxDistance === 0) return [];
+
+  const candidates = await SearchTerm.find({
+    term: { $regex: `^${term[0]}`, $ne: term },
+    length: {
+      $gte: term.length - maxDistance,
+      $lte: term.length + maxDistance,
+    },
+  })
+    .select("term")
+    .lean();
+
+  return candidates
+    .map((candidate) => ({
+      term: candidate.term,
+      distance: editDistance(term, candidate.term, maxDistance),
+    }))
+    .filter((candidate) => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_CORRECTIONS)
+    .map((candidate) => ({
+      term: candidate.term,
+      weight: 1 - TYPO_PENALTY * candidate.distance,
+    }));
+};
+
+const scoreDocument = (document, queryTerms, documentCounts, stats) => {
+  let score = 0;
+
+  // each query term contributes its best scoring variant only, so a word
+  // with several near spellings in the index is not counted several times
+  for (const variants of queryTerms) {
+    let best = 0;
+
+    for (const { term, weight } of variants) {
+      let frequency = 0;
+
+      for (const posting of document.postings) {
+        if (posting.term !== term) continue;
+
+        const length = document.fieldLengths?.[posting.field] || 0;
+        const averageLength = stats.averageLengths[posting.field];
+
+        frequency +=
+          (FIELD_BOOSTS[posting.field] * posting.frequency) /
+          (1 - B + (B * length) / averageLength);
+      }
+
+      if (frequency === 0) continue;
+
+      const documentCount = documentCounts.get(term) || 0;
+      const idf = Math.log(
+        1 + (stats.documentCount - documentCount + 0.5) / (documentCount + 0.5)
+      );
+
+      best = Math.max(
+        best,
+        (weight * idf * frequency * (K1 + 1)) / (frequency + K1)
+      );
+    }
+
+    score += best;
+  }
+
+  return score;
+};
+
+const createBuiltinBackend = () => ({
+  name: "builtin",
+
+  search: async (query, { match } = {}) => {
+    const queryTerms = await Promise.all(
+      [...new Set(analyze(query))].map(async (term) => [
+        { term, weight: 1 },
+        ...(await findCorrections(term)),
+      ])
+    );
+
+    const terms = [
+      ...new Set(queryTerms.flat().map((variant) => variant.term)),
+    ];
+
+    const [vocabulary, stats] = await Promise.all([
+      SearchTerm.find({ term: { $in: terms } })
+        .select("term documentCount")
+        .lean(),
+      getIndexStats(),
+    ]);
+
+    const documentCounts = new Map(
+      vocabulary.map((entry) => [entry.term, entry.documentCount])
+    );
+
+    // every matching document is scored before the best SEARCH_MAX_CANDIDATES
+    // are kept, the cursor keeps memory bounded on large collections. Videos
+    // the caller would filter out are dropped first so they can't take up
+    // candidate slots.
+    let ranked = [];
+    const byScore = (a, b) => b.score - a.score;
+
+    if (terms.length > 0) {
+      const cursor = SearchDocument.aggregate([
+        { $match: { "postings.term": { $in: terms } } },
+        ...(match
+          ? [
+              {
+                $lookup: {
+                  from: "videos",
+                  localField: "video",
+                  foreignField: "_id",
+                  as: "allowed",
+                  pipeline: [{ $match: match }, { $project: { _id: 1 } }],
+                },
+              },
+              { $match: { "allowed.0": { $exists: true } } },
+            ]
+          : []),
+        {
+          $project: {
+            video: 1,
+            fieldLengths: 1,
+            postings: {
+              $filter: {
+                input: "$postings",
+                cond: { $in: ["$$this.term", terms] },
+              },
+            },
+          },
+        },
+      ]).cursor();
+
+      for await (const document of cursor) {
+        const score = scoreDocument(
+          document,
+          queryTerms,
+          documentCounts,
+          stats
+        );
+        if (score <= 0) continue;
+
+        ranked.push({ video: document.video, score });
+        if (ranked.length >= SEARCH_MAX_CANDIDATES * 2) {
+          ranked = ranked.sort(byScore).slice(0, SEARCH_MAX_CANDIDATES);
+        }
+      }
+    }
+
+    ranked = ranked.sort(byScore).slice(0, SEARCH_MAX_CANDIDATES);
+
+    const videoIds = ranked.map((result) => result.video);
+
+    return {
+      stages: [
+        { $match: { _id: { $in: videoIds } } },
+        {
+          $addFields: {
+            score: {
+              $arrayElemAt: [
+                ranked.map((result) => result.score),
+                { $indexOfArray: [videoIds, "$_id"] },
+              ],
+            },
+          },
+        },
+      ],
+      terms: documentCounts.size > 0 ? [...documentCounts.keys()] : terms,
+    };
+  },
+
+  indexVideo,
+  removeVideo,
+});
+
+export { createBuiltinBackend };
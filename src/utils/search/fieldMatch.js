@@ -0,0 +1,24 @@
+const MAX_QUERY_TOKENS = 8;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Full-text matching for collections without a search backend (channels,
+// playlists, tweets). Each of them has a text index that sets the field
+// weights, and `score` is MongoDB's text score. $text has to be the first
+// stage of the pipeline.
+const textMatchStages = (query) => {
+  const words = [
+    ...new Set(String(query).match(/[\p{L}\p{N}]+/gu) || []),
+  ].slice(0, MAX_QUERY_TOKENS);
+
+  if (words.length === 0) {
+    return [{ $match: { _id: { $in: [] } } }];
+  }
+
+  return [
+    { $match: { $text: { $search: words.join(" ") } } },
+    { $addFields: { score: { $meta: "textScore" } } },
+  ];
+};
+
+export { escapeRegex, textMatchStages };
@@ -0,0 +1,67 @@
+import { isSearchable, stem, tokenizeWithOffsets } from "./analyzer.js";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+
+// Picks the window of `length` characters around the first match, moved to
+// word boundaries.
+const snippetBounds = (text, firstMatch, length) => {
+  if (!length || text.length <= length) return [0, text.length];
+
+  let start = Math.max(0, firstMatch.start - Math.floor(length / 4));
+  let end = Math.min(text.length, start + length);
+
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < firstMatch.start) start = space + 1;
+  }
+
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > firstMatch.end) end = space;
+  }
+
+  return [start, end];
+};
+
+// Returns the text HTML-escaped with every word matching one of the index
+// terms wrapped in <mark>, or null when nothing matches. With snippetLength
+// long text is cut down to the part around the first match.
+const highlightText = (text, terms, { snippetLength } = {}) => {
+  if (!text || terms.length === 0) return null;
+
+  const termSet = new Set(terms);
+  const matches = tokenizeWithOffsets(text).filter(
+    ({ token }) => isSearchable(token) && termSet.has(stem(token))
+  );
+
+  if (matches.length === 0) return null;
+
+  const [start, end] = snippetBounds(text, matches[0], snippetLength);
+
+  let highlighted = "";
+  let cursor = start;
+
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+
+    highlighted +=
+      escapeHtml(text.slice(cursor, match.start)) +
+      `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+
+  highlighted += escapeHtml(text.slice(cursor, end));
+
+  return (start > 0 ? "…" : "") + highlighted + (end < text.length ? "…" : "");
+};
+
+export { highlightText };
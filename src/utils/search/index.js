@@ -0,0 +1,63 @@
+import { createAtlasBackend } from "./atlas.backend.js";
+import { createBuiltinBackend } from "./builtin.backend.js";
+import { highlightText } from "./highlight.js";
+
+// Every search backend implements:
+//   search(query, { match }) -> { stages, terms }
+// `stages` go first in a Video aggregation and keep the matching videos with
+// a `score`; `terms` are the analyzed terms used to highlight the results.
+// `match` is an optional Video filter (visibility, status, owner...) that is
+// applied before the candidates are limited, so hidden videos never crowd
+// out visible ones.
+//
+// The built-in index is kept up to date whichever backend answers queries,
+// so SEARCH_BACKEND can be switched without reindexing.
+const backendFactories = {
+  atlas: createAtlasBackend,
+  builtin: createBuiltinBackend,
+};
+
+const backends = {};
+
+const getSearchBackend = (name = process.env.SEARCH_BACKEND || "builtin") => {
+  if (!backends[name]) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown search backend "${name}"`);
+    }
+    backends[name] = factory();
+  }
+  return backends[name];
+};
+
+const indexVideoForSearch = async (video) => {
+  try {
+    await getSearchBackend("builtin").indexVideo(video);
+  } catch (error) {
+    console.log("Search indexing failed ", error);
+  }
+};
+
+const removeVideoFromSearch = async (videoId) => {
+  try {
+    await getSearchBackend("builtin").removeVideo(videoId);
+  } catch (error) {
+    console.log("Search index removal failed ", error);
+  }
+};
+
+const DESCRIPTION_SNIPPET_LENGTH = 160;
+
+const highlightVideo = (video, terms) => ({
+  title: highlightText(video.title, terms),
+  description: highlightText(video.description, terms, {
+    snippetLength: DESCRIPTION_SNIPPET_LENGTH,
+  }),
+});
+
+export {
+  getSearchBackend,
+  indexVideoForSearch,
+  removeVideoFromSearch,
+  highlightVideo,
+};
@@ -0,0 +1,225 @@
+import { Video } from "../../models/video.model.js";
+import { User } from "../../models/user.model.js";
+import { SearchQuery } from "../../models/searchQuery.model.js";
+import { escapeRegex } from "./fieldMatch.js";
+import { normalizeQuery, tokenize } from "./analyzer.js";
+import {
+  SUGGESTION_CACHE_TTL,
+  SUGGESTION_MIN_QUERY_COUNT,
+} from "../../constant.js";
+
+const MAX_QUERY_LENGTH = 100;
+const CANDIDATES_PER_SOURCE = 20;
+const TITLE_SCAN_LIMIT = 200;
+const MAX_CACHED_PREFIXES = 1000;
+
+// How much a unit of popularity is worth per source, before log scaling:
+// a query searched 10 times beats a title with 10 views.
+const SOURCE_WEIGHTS = {
+  query: 3,
+  tag: 2,
+  channel: 2,
+  title: 1,
+};
+
+const BLOCKED_TERMS = new Set([
+  "fuck",
+  "fucking",
+  "shit",
+  "cunt",
+  "nigger",
+  "faggot",
+  "porn",
+  "porno",
+  "xxx",
+  "rape",
+  ...(process.env.SEARCH_BLOCKED_TERMS || "")
+    .split(",")
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+// Keeps blocked words and anything that looks like personal data (links,
+// email addresses, phone or card numbers) out of the suggestions.
+const isSafeSuggestion = (text) => {
+  if (!text || text.length > MAX_QUERY_LENGTH) return false;
+
+  if (
+    /https?:\/\/|www\.|\S+@\S+\.\S+|\d{7,}/i.test(text.replace(/[\s-]/g, ""))
+  ) {
+    return false;
+  }
+
+  return !tokenize(text).some((token) => BLOCKED_TERMS.has(token));
+};
+
+const logSearchQuery = async (query) => {
+  const normalizedQuery = normalizeQuery(query);
+
+  if (normalizedQuery.length < 2 || !isSafeSuggestion(normalizedQuery)) return;
+
+  try {
+    await SearchQuery.updateOne(
+      { query: normalizedQuery },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.log("Search query logging failed ", error);
+  }
+};
+
+// Queries only show up once enough searches were made for them, so one
+// person's searches are never suggested to others.
+const queryCandidates = (prefix) =>
+  SearchQuery.find({
+    query: { $regex: `^${escapeRegex(prefix)}` },
+    count: { $gte: SUGGESTION_MIN_QUERY_COUNT },
+  })
+    .sort({ count: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .lean()
+    .then((queries) =>
+      queries.map((entry) => ({
+        text: entry.query,
+        type: "query",
+        popularity: entry.count,
+      }))
+    );
+
+// Suggestions are cached and shared between viewers, so only public videos
+// feed them.
+const tagCandidates = (prefix) =>
+  Video.aggregate([
+    {
+      $match: {
+        tags: { $regex: `^${escapeRegex(prefix)}` },
+        ...Video.listableMatch(),
+        status: "ready",
+      },
+    },
+    { $unwind: "$tags" },
+    { $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } },
+    { $group: { _id: "$tags", popularity: { $sum: 1 } } },
+    { $sort: { popularity: -1 } },
+    { $limit: CANDIDATES_PER_SOURCE },
+  ]).then((tags) =>
+    tags.map((tag) => ({
+      text: tag._id,
+      type: "tag",
+      popularity: tag.popularity,
+    }))
+  );
+
+const channelCandidates = (prefix) =>
+  User.aggregate([
+    { $match: { username: { $regex: `^${escapeRegex(prefix)}` } } },
+    { $limit: CANDIDATES_PER_SOURCE },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+      },
+    },
+    {
+      $project: {
+        username: 1,
+        popularity: { $size: "$subscribers" },
+      },
+    },
+  ]).then((users) =>
+    users.map((user) => ({
+      text: user.username,
+      type: "channel",
+      popularity: user.popularity,
+    }))
+  );
+
+// An anchored, case-sensitive prefix on the normalized titleKey is a range
+// scan of its index. Only the first TITLE_SCAN_LIMIT titles in index order
+// are ranked, so short prefixes stay as cheap as long ones.
+const titleCandidates = (prefix) =>
+  Video.find({
+    titleKey: { $regex: `^${escapeRegex(prefix)}` },
+    ...Video.listableMatch(),
+    status: "ready",
+  })
+    .sort({ titleKey: 1 })
+    .limit(TITLE_SCAN_LIMIT)
+    .select("titleKey views")
+    .lean()
+    .then((videos) =>
+      videos
+        .sort((a, b) => b.views - a.views)
+        .slice(0, CANDIDATES_PER_SOURCE)
+        .map((video) => ({
+          text: video.titleKey,
+          type: "title",
+          popularity: video.views,
+        }))
+    );
+
+const cache = new Map();
+
+const getSuggestions = async (query, limit = 8) => {
+  const prefix = normalizeQuery(query);
+
+  if (!prefix) return [];
+
+  const cached = cache.get(prefix);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.suggestions.slice(0, limit);
+  }
+
+  const candidates = (
+    await Promise.all([
+      queryCandidates(prefix),
+      tagCandidates(prefix),
+      channelCandidates(prefix),
+      titleCandidates(prefix),
+    ])
+  ).flat();
+
+  // the same text from several sources is one suggestion, its scores added
+  // up
+  const suggestions = new Map();
+
+  for (const candidate of candidates) {
+    if (!isSafeSuggestion(candidate.text)) continue;
+
+    const score =
+      SOURCE_WEIGHTS[candidate.type] * Math.log1p(candidate.popularity || 0);
+    const existing = suggestions.get(candidate.text);
+
+    if (!existing) {
+      suggestions.set(candidate.text, {
+        text: candidate.text,
+        types: [candidate.type],
+        score,
+      });
+    } else {
+      if (!existing.types.includes(candidate.type)) {
+        existing.types.push(candidate.type);
+      }
+      existing.score += score;
+    }
+  }
+
+  const ranked = [...suggestions.values()].sort(
+    (a, b) => b.score - a.score || a.text.length - b.text.length
+  );
+
+  if (cache.size >= MAX_CACHED_PREFIXES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(prefix, {
+    suggestions: ranked,
+    expiresAt: Date.now() + SUGGESTION_CACHE_TTL,
+  });
+
+  return ranked.slice(0, limit);
+};
+
+export { getSuggestions, isSafeSuggestion, logSearchQuery, normalizeQuery };
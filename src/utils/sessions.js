@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { APIError } from "./apiError.js";
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+// iOS and Android before their desktop look-alikes
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+// "Chrome on Windows", good enough to tell a user's devices apart
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return "Unknown device";
+  if (!platform) return browser[0];
+  if (!browser) return platform[0];
+
+  return `${browser[0]} on ${platform[0]}`;
+};
+
+const clientInfo = (req) => {
+  const userAgent = req.get("user-agent") || "";
+
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+  };
+};
+
+const issueTokens = (user, sessionId, tokenId) => {
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId, tokenId);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
+const revokeSessions = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    tokenId: crypto.randomUUID(),
+    ...clientInfo(req),
+  });
+
+  const { accessToken, refreshToken, expiresAt } = issueTokens(
+    user,
+    session._id,
+    session.tokenId
+  );
+
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  return { accessToken, refreshToken };
+};
+
+// Trades a refresh token for a new pair. Presenting a token that was
+// already rotated means someone else may hold the family, so the whole
+// session is revoked and the device has to log in again.
+const rotateSession = async (incomingRefreshToken, req) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new APIError(401, error?.message || "Invalid refresh token");
+  }
+
+  const session = decodedToken.sid
+    ? await Session.findById(decodedToken.sid)
+    : null;
+
+  if (
+    !session ||
+    session.revokedAt ||
+    session.user.toString() !== decodedToken._id
+  ) {
+    throw new APIError(401, "Refresh token is expired or used");
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    throw new APIError(401, "Invalid refresh token");
+  }
+
+  const tokenId = crypto.randomUUID();
+  const { accessToken, refreshToken, expiresAt } = issueTokens(
+    user,
+    session._id,
+    tokenId
+  );
+
+  const rotatedSession = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      tokenId: decodedToken.jti,
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        tokenId,
+        expiresAt,
+        lastSeenAt: new Date(),
+        ...clientInfo(req),
+      },
+    }
+  );
+
+  if (!rotatedSession) {
+    await revokeSessions({ _id: session._id }, "reuse");
+    throw new APIError(401, "Refresh token reuse detected, log in again");
+  }
+
+  return { accessToken, refreshToken };
+};
+
+const isSessionActive = (sessionId) =>
+  Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+export { createSession, rotateSession, revokeSessions, isSessionActive };
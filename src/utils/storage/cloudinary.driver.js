@@ -0,0 +1,47 @@
+import { v2 as cloudinary } from "cloudinary";
+
+const createCloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const upload = async (localFilePath, { folder } = {}) => {
+    const response = await cloudinary.uploader.upload(localFilePath, {
+      resource_type: "auto",
+      folder,
+    });
+
+    return {
+      provider: "cloudinary",
+      key: response.public_id,
+      url: response.secure_url || response.url,
+      resourceType: response.resource_type,
+      format: response.format,
+      size: response.bytes,
+      duration: response.duration,
+      width: response.width,
+      height: response.height,
+    };
+  };
+
+  const remove = async (asset) => {
+    await cloudinary.uploader.destroy(asset.key, {
+      resource_type: asset.resourceType || "image",
+      invalidate: true,
+    });
+  };
+
+  const getSignedUrl = async (asset, { expiresIn }) => {
+    return cloudinary.utils.private_download_url(asset.key, asset.format, {
+      resource_type: asset.resourceType || "image",
+      type: "upload",
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    });
+  };
+
+  return { name: "cloudinary", upload, remove, getSignedUrl };
+};
+
+export { createCloudinaryDriver };
@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+import { createCloudinaryDriver } from "./cloudinary.driver.js";
+import { createLocalDriver } from "./local.driver.js";
+import { createS3Driver } from "./s3.driver.js";
+
+// Every storage driver implements:
+//   upload(localFilePath, { folder, mimeType }) -> asset record
+//   remove(asset)
+//   getSignedUrl(asset, { expiresIn }) -> url
+// The asset record ({ provider, key, url, ... }) is what gets persisted, so
+// media stays addressable after STORAGE_DRIVER is switched.
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const drivers = {};
+
+const MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".vtt": "text/vtt",
+};
+
+const guessMimeType = (filePath) =>
+  MIME_TYPES[path.extname(filePath || "").toLowerCase()] ||
+  "application/octet-stream";
+
+const getStorageDriver = (name = process.env.STORAGE_DRIVER || "cloudinary") => {
+  if (!drivers[name]) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    drivers[name] = factory();
+  }
+  return drivers[name];
+};
+
+// The local file is removed afterwards unless keepSource is set, e.g. when
+// the caller may need it again to retry.
+const uploadMedia = async (
+  localFilePath,
+  { folder, mimeType, keepSource = false } = {}
+) => {
+  try {
+    if (!localFilePath) return null;
+
+    const asset = await getStorageDriver().upload(localFilePath, {
+      folder,
+      mimeType: mimeType || guessMimeType(localFilePath),
+    });
+
+    return {
+      mimeType: mimeType || guessMimeType(localFilePath),
+      ...asset,
+    };
+  } catch (error) {
+    console.log("Media upload failed ", error);
+    return null;
+  } finally {
+    if (localFilePath && !keepSource) {
+      fs.rmSync(localFilePath, { force: true });
+    }
+  }
+};
+
+const deleteMedia = async (asset) => {
+  if (!asset?.provider || !asset?.key) return;
+
+  try {
+    await getStorageDriver(asset.provider).remove(asset);
+  } catch (error) {
+    console.log("Media delete failed ", error);
+  }
+};
+
+const getSignedMediaUrl = async (asset, { expiresIn = 3600 } = {}) => {
+  if (!asset?.provider) return null;
+
+  return getStorageDriver(asset.provider).getSignedUrl(asset, { expiresIn });
+};
+
+export {
+  getStorageDriver,
+  guessMimeType,
+  uploadMedia,
+  deleteMedia,
+  getSignedMediaUrl,
+};
@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const signKey = (key, expires, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+// Images shown next to a video or channel are served without a signature,
+// everything else (video files) needs a URL from getSignedUrl.
+const PUBLIC_FOLDERS = ["avatars", "cover-images", "thumbnails", "posters"];
+
+// Stores media on the local filesystem. Files are served by the /media route,
+// which checks isPublicKey/verifySignature before sending anything.
+const createLocalDriver = () => {
+  const root = process.env.LOCAL_STORAGE_DIR || "./storage/media";
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || "/media").replace(
+    /\/$/,
+    ""
+  );
+  const secret =
+    process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  const upload = async (localFilePath, { folder = "", mimeType } = {}) => {
+    const key = path.posix.join(
+      folder,
+      `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+    );
+    const destination = resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.copyFile(localFilePath, destination);
+
+    const { size } = await fs.promises.stat(destination);
+
+    return {
+      provider: "local",
+      key,
+      url: `${baseUrl}/${key}`,
+      mimeType,
+      size,
+    };
+  };
+
+  const remove = async (asset) => {
+    await fs.promises.rm(resolvePath(asset.key), { force: true });
+  };
+
+  const getSignedUrl = async (asset, { expiresIn }) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = signKey(asset.key, expires, secret);
+    return `${baseUrl}/${asset.key}?expires=${expires}&signature=${signature}`;
+  };
+
+  const isPublicKey = (key) => PUBLIC_FOLDERS.includes(key.split("/")[0]);
+
+  const verifySignature = (key, expires, signature) => {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+    const expected = Buffer.from(signKey(key, expires, secret));
+    const received = Buffer.from(String(signature));
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  };
+
+  return {
+    name: "local",
+    upload,
+    remove,
+    getSignedUrl,
+    resolvePath,
+    isPublicKey,
+    verifySignature,
+  };
+};
+
+export { createLocalDriver };
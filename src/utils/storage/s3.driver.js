@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl as presign } from "@aws-sdk/s3-request-presigner";
+
+// Works against AWS S3 and S3-compatible stores (MinIO, R2, ...) through
+// S3_ENDPOINT and S3_FORCE_PATH_STYLE.
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  const publicUrl = (key) => {
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+    }
+    if (process.env.S3_ENDPOINT) {
+      return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket}/${key}`;
+    }
+    return `https://${bucket}.s3.${client.config.region}.amazonaws.com/${key}`;
+  };
+
+  const upload = async (localFilePath, { folder = "", mimeType } = {}) => {
+    const key = path.posix.join(
+      folder,
+      `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+    );
+    const { size } = await fs.promises.stat(localFilePath);
+
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(localFilePath),
+        ContentLength: size,
+        ContentType: mimeType,
+      })
+    );
+
+    return {
+      provider: "s3",
+      key,
+      url: publicUrl(key),
+      mimeType,
+      size,
+    };
+  };
+
+  const remove = async (asset) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: asset.key }));
+  };
+
+  const getSignedUrl = async (asset, { expiresIn }) => {
+    return presign(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: asset.key }),
+      { expiresIn }
+    );
+  };
+
+  return { name: "s3", upload, remove, getSignedUrl };
+};
+
+export { createS3Driver };
@@ -0,0 +1,60 @@
+import { APIError } from "./apiError.js";
+import {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_VIDEO,
+  VIDEO_CATEGORIES,
+} from "../constant.js";
+
+// "#Mongo DB " -> "mongo-db"
+const normalizeTag = (tag) =>
+  String(tag)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Accepts an array or a comma separated string (multipart forms). Returns
+// null when no tags were sent at all.
+const parseTags = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const rawTags = Array.isArray(value) ? value : String(value).split(",");
+  const tags = [...new Set(rawTags.map(normalizeTag).filter(Boolean))];
+
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new APIError(
+      400,
+      `Tags can be at most ${MAX_TAG_LENGTH} characters long`
+    );
+  }
+
+  if (tags.length > MAX_TAGS_PER_VIDEO) {
+    throw new APIError(
+      400,
+      `A video can have at most ${MAX_TAGS_PER_VIDEO} tags`
+    );
+  }
+
+  return tags;
+};
+
+const parseCategory = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const category = String(value).trim().toLowerCase();
+
+  if (!VIDEO_CATEGORIES.includes(category)) {
+    throw new APIError(
+      400,
+      `category must be one of: ${VIDEO_CATEGORIES.join(", ")}`
+    );
+  }
+
+  return category;
+};
+
+export { normalizeTag, parseTags, parseCategory };
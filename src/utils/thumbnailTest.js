@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { ThumbnailImpression } from "../models/thumbnailImpression.model.js";
+import { deleteMedia } from "./storage/index.js";
+
+// A viewer keeps seeing the same candidate for a video, so a click can be
+// attributed to what they were actually shown.
+const pickCandidate = (videoId, viewerId, candidateCount) => {
+  if (!viewerId) return crypto.randomInt(candidateCount);
+
+  const hash = crypto
+    .createHash("md5")
+    .update(`${videoId}:${viewerId}`)
+    .digest();
+
+  return hash.readUInt32BE(0) % candidateCount;
+};
+
+const clickThroughRate = (candidate) =>
+  candidate.impressions > 0 ? candidate.clicks / candidate.impressions : 0;
+
+const summarizeThumbnailTest = (thumbnailTest) => {
+  if (!thumbnailTest?.status) return null;
+
+  return {
+    status: thumbnailTest.status,
+    sampleSize: thumbnailTest.sampleSize,
+    winner: thumbnailTest.winner,
+    startedAt: thumbnailTest.startedAt,
+    completedAt: thumbnailTest.completedAt,
+    candidates: thumbnailTest.candidates.map((candidate, index) => ({
+      index,
+      thumbnail: candidate.asset,
+      impressions: candidate.impressions,
+      clicks: candidate.clicks,
+      clickThroughRate: clickThroughRate(candidate),
+    })),
+  };
+};
+
+// Makes the best performing candidate the video's thumbnail. Ties go to the
+// candidate that was uploaded first.
+const completeThumbnailTest = async (video) => {
+  const { candidates } = video.thumbnailTest;
+
+  const winner = candidates.reduce(
+    (best, candidate, index) =>
+      clickThroughRate(candidate) > clickThroughRate(candidates[best])
+        ? index
+        : best,
+    0
+  );
+
+  const completedVideo = await Video.findOneAndUpdate(
+    { _id: video._id, "thumbnailTest.status": "running" },
+    {
+      $set: {
+        thumbnail: candidates[winner].asset,
+        "thumbnailTest.status": "completed",
+        "thumbnailTest.winner": winner,
+        "thumbnailTest.completedAt": new Date(),
+      },
+    }
+  );
+
+  // someone else already completed or cancelled it
+  if (!completedVideo) return;
+
+  const candidateKeys = candidates.map((candidate) => candidate.asset.key);
+
+  if (
+    completedVideo.thumbnail &&
+    !candidateKeys.includes(completedVideo.thumbnail.key)
+  ) {
+    await deleteMedia(completedVideo.thumbnail);
+  }
+
+  for (const [index, candidate] of candidates.entries()) {
+    if (index !== winner) await deleteMedia(candidate.asset);
+  }
+};
+
+const completeFinishedThumbnailTests = async (videoIds) => {
+  const videos = await Video.find({
+    _id: { $in: videoIds },
+    "thumbnailTest.status": "running",
+  }).select("thumbnailTest");
+
+  for (const video of videos) {
+    const impressions = video.thumbnailTest.candidates.reduce(
+      (sum, candidate) => sum + candidate.impressions,
+      0
+    );
+
+    if (impressions >= video.thumbnailTest.sampleSize) {
+      await completeThumbnailTest(video);
+    }
+  }
+};
+
+// Swaps in the candidate thumbnail for videos under test, records one
+// impression per shown candidate and hands back `thumbnailImpression` for
+// the client to pass along when the video is opened. Test internals are
+// stripped from every item.
+const applyThumbnailTests = async (videos, viewerId) => {
+  const impressions = [];
+  const increments = [];
+
+  const results = videos.map(({ thumbnailTest, ...video }) => {
+    if (
+      thumbnailTest?.status !== "running" ||
+      !thumbnailTest.candidates?.length
+    ) {
+      return video;
+    }
+
+    const candidate = pickCandidate(
+      video._id,
+      viewerId,
+      thumbnailTest.candidates.length
+    );
+    const impressionId = new mongoose.Types.ObjectId();
+
+    impressions.push({
+      _id: impressionId,
+      video: video._id,
+      viewer: viewerId,
+      candidate,
+    });
+    increments.push({
+      updateOne: {
+        filter: { _id: video._id, "thumbnailTest.status": "running" },
+        update: {
+          $inc: { [`thumbnailTest.candidates.${candidate}.impressions`]: 1 },
+        },
+      },
+    });
+
+    return {
+      ...video,
+      thumbnail: thumbnailTest.candidates[candidate].asset,
+      thumbnailImpression: impressionId,
+    };
+  });
+
+  if (impressions.length > 0) {
+    await ThumbnailImpression.insertMany(impressions);
+    await Video.bulkWrite(increments);
+    await completeFinishedThumbnailTests(
+      impressions.map((impression) => impression.video)
+    );
+  }
+
+  return results;
+};
+
+const recordThumbnailClick = async (videoId, impressionId, viewerId) => {
+  if (!isValidObjectId(impressionId)) return;
+
+  const impression = await ThumbnailImpression.findOneAndUpdate(
+    {
+      _id: impressionId,
+      video: videoId,
+      viewer: viewerId,
+      clicked: false,
+    },
+    { $set: { clicked: true } }
+  );
+
+  if (!impression) return;
+
+  await Video.updateOne(
+    { _id: videoId, "thumbnailTest.status": "running" },
+    {
+      $inc: {
+        [`thumbnailTest.candidates.${impression.candidate}.clicks`]: 1,
+      },
+    }
+  );
+};
+
+export { applyThumbnailTests, recordThumbnailClick, summarizeThumbnailTest };
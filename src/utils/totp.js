@@ -0,0 +1,114 @@
+import crypto from "crypto";
+
+// RFC 6238 time based one-time passwords with the defaults authenticator
+// apps expect: HMAC-SHA1, 6 digits, 30 second steps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentTotpStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+// RFC 4226 HOTP for one counter value
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// Returns the step the code belongs to, or null. One step either side is
+// accepted for clock drift.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const step = currentTotpStep(now);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = totpCode(secret, step + offset);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+const totpUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpCode,
+  verifyTotp,
+  totpUri,
+};
@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.model.js";
+import { APIError } from "./apiError.js";
+import { base32Encode, verifyTotp } from "./totp.js";
+import {
+  MFA_LOCKOUT_DURATION,
+  MFA_MAX_ATTEMPTS,
+  MFA_PENDING_TTL,
+  RECOVERY_CODE_COUNT,
+} from "../constant.js";
+
+const MFA_AUDIENCE = "mfa-pending";
+const MAX_LOCKOUT = 24 * 60 * 60 * 1000;
+
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Returns the codes to show the user once and the hashed records to store.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return {
+    codes,
+    records: codes.map((code) => ({ hash: hashRecoveryCode(code) })),
+  };
+};
+
+// Accepts a TOTP code or an unused recovery code and returns which one
+// matched, or null. Either kind works only once.
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep"
+  );
+
+  if (!user?.twoFactor?.enabled) return null;
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+
+    return modifiedCount > 0 ? "totp" : null;
+  }
+
+  if (normalizeRecoveryCode(code).length !== 10) return null;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      "twoFactor.recoveryCodes": {
+        $elemMatch: {
+          hash: hashRecoveryCode(code),
+          usedAt: { $exists: false },
+        },
+      },
+    },
+    { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+  );
+
+  return modifiedCount > 0 ? "recovery" : null;
+};
+
+// After the password checks out, the client gets this short lived token
+// instead of a session and trades it, together with a code, for one.
+const startPendingLogin = async (user) => {
+  const tokenId = crypto.randomUUID();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingLogin": { tokenId, attempts: 0 } } }
+  );
+
+  return jwt.sign({ _id: user._id }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: Math.floor(MFA_PENDING_TTL / 1000),
+    audience: MFA_AUDIENCE,
+    jwtid: tokenId,
+  });
+};
+
+// Counts a code attempt against the pending login and returns its user ID.
+// A newer login replaces the pending one, and running out of attempts
+// means starting over with the password.
+//
+// Attempts are also counted on the account until a login succeeds, so
+// logging in again does not buy more guesses: every MFA_MAX_ATTEMPTS of
+// them lock the second step for MFA_LOCKOUT_DURATION, doubling each time.
+const claimPendingLogin = async (mfaToken) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(mfaToken, process.env.ACCESS_TOKEN_SECRET, {
+      audience: MFA_AUDIENCE,
+    });
+  } catch (error) {
+    throw new APIError(401, "Login has expired, log in again");
+  }
+
+  const now = new Date();
+
+  const lockedUser = await User.exists({
+    _id: decodedToken._id,
+    "twoFactor.lockedUntil": { $gt: now },
+  });
+
+  if (lockedUser) {
+    throw new APIError(429, "Too many invalid codes, try again later");
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: decodedToken._id,
+      "twoFactor.pendingLogin.tokenId": decodedToken.jti,
+      "twoFactor.pendingLogin.attempts": { $lt: MFA_MAX_ATTEMPTS },
+    },
+    {
+      $inc: {
+        "twoFactor.pendingLogin.attempts": 1,
+        "twoFactor.failedAttempts": 1,
+      },
+    },
+    { new: true }
+  ).select("+twoFactor.failedAttempts");
+
+  if (!user) {
+    throw new APIError(401, "Login has expired, log in again");
+  }
+
+  const { failedAttempts } = user.twoFactor;
+
+  if (failedAttempts % MFA_MAX_ATTEMPTS === 0) {
+    const lockout = Math.min(
+      MFA_LOCKOUT_DURATION * 2 ** (failedAttempts / MFA_MAX_ATTEMPTS - 1),
+      MAX_LOCKOUT
+    );
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.lockedUntil": new Date(now.getTime() + lockout) } }
+    );
+  }
+
+  return user._id;
+};
+
+const finishPendingLogin = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $unset: {
+        "twoFactor.pendingLogin": 1,
+        "twoFactor.failedAttempts": 1,
+        "twoFactor.lockedUntil": 1,
+      },
+    }
+  );
+
+export {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  startPendingLogin,
+  claimPendingLogin,
+  finishPendingLogin,
+};
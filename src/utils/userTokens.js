@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { UserToken } from "../models/userToken.model.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Returns the raw token to send to the user. Unused tokens issued earlier
+// for the same purpose stop working.
+const issueUserToken = async (user, purpose, ttl) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await UserToken.deleteMany({
+    user: user._id,
+    purpose,
+    usedAt: { $exists: false },
+  });
+
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttl),
+  });
+
+  return token;
+};
+
+// Marks the token used and returns it, or null when it is unknown, expired
+// or already used.
+const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== "string" || token === "") return null;
+
+  const now = new Date();
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+const lastUserTokenIssuedAt = async (userId, purpose) => {
+  const lastToken = await UserToken.findOne({ user: userId, purpose })
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+
+  return lastToken?.createdAt || null;
+};
+
+export { issueUserToken, consumeUserToken, lastUserTokenIssuedAt };
@@ -0,0 +1,272 @@
+import { isValidObjectId } from "mongoose";
+import { APIError } from "./apiError.js";
+import { parseCategory, parseTags } from "./tags.js";
+
+// The query grammar of the video listing. Every parameter is validated up
+// front and all problems are reported together in one 400.
+
+const PAGINATION_PARAMS = ["limit", "after", "before"];
+const FILTER_PARAMS = [
+  "query",
+  "userId",
+  "tags",
+  "tagMode",
+  "category",
+  "duration",
+  "uploadDate",
+  "uploadedAfter",
+  "uploadedBefore",
+  "minViews",
+  "hasCaptions",
+  "sortBy",
+  "sortType",
+];
+
+// seconds, upper bound exclusive
+const DURATION_BUCKETS = {
+  short: [0, 4 * 60],
+  medium: [4 * 60, 20 * 60],
+  long: [20 * 60, Infinity],
+};
+
+const UPLOAD_DATES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// sortBy -> field the videos are sorted on; createdAt is still accepted
+// for older clients
+const SORT_FIELDS = {
+  relevance: "score",
+  date: "createdAt",
+  createdAt: "createdAt",
+  views: "views",
+  likes: "likesCount",
+};
+
+const likesCountStages = [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "video",
+      as: "likesCount",
+      pipeline: [{ $count: "count" }],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $ifNull: [{ $first: "$likesCount.count" }, 0] },
+    },
+  },
+];
+
+const hasCaptionsStages = (hasCaptions) => [
+  {
+    $lookup: {
+      from: "captions",
+      localField: "_id",
+      foreignField: "video",
+      as: "captionTracks",
+      pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+    },
+  },
+  {
+    $match: {
+      "captionTracks.0": { $exists: hasCaptions },
+    },
+  },
+  {
+    $project: {
+      captionTracks: 0,
+    },
+  },
+];
+
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseDate = (value, name, errors) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a valid date`);
+    return null;
+  }
+
+  return date;
+};
+
+const oneOf = (values) => values.join(", ");
+
+// Returns { match, stages, sort }: `match` filters on the video's own
+// fields, `stages` add what needs a lookup and go after every other match.
+// Search stages for `query` are left to the caller since they must come
+// first.
+const parseVideoListQuery = (query) => {
+  const errors = [];
+  const stages = [];
+  const match = {};
+
+  const unknownParams = Object.keys(query).filter(
+    (param) =>
+      !FILTER_PARAMS.includes(param) && !PAGINATION_PARAMS.includes(param)
+  );
+
+  for (const param of unknownParams) {
+    errors.push(
+      `Unknown parameter "${param}", expected one of: ${oneOf([
+        ...FILTER_PARAMS,
+        ...PAGINATION_PARAMS,
+      ])}`
+    );
+  }
+
+  // parameters given twice arrive as arrays
+  for (const [param, value] of Object.entries(query)) {
+    if (Array.isArray(value) || typeof value === "object") {
+      errors.push(`${param} must be given once`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new APIError(400, "Invalid video filters", errors);
+  }
+
+  if (query.userId && !isValidObjectId(query.userId)) {
+    errors.push("userId must be a valid user ID");
+  }
+
+  if (query.tags) {
+    if (!["all", "any", undefined].includes(query.tagMode)) {
+      errors.push("tagMode must be either all or any");
+    }
+
+    try {
+      const tags = parseTags(query.tags);
+
+      if (tags.length > 0) {
+        match.tags = query.tagMode === "all" ? { $all: tags } : { $in: tags };
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (query.category) {
+    try {
+      match.category = { $in: parseList(query.category).map(parseCategory) };
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (query.duration) {
+    const buckets = parseList(query.duration);
+    const unknownBuckets = buckets.filter(
+      (b) => !Object.hasOwn(DURATION_BUCKETS, b)
+    );
+
+    if (unknownBuckets.length > 0) {
+      errors.push(
+        `duration must be any of: ${oneOf(Object.keys(DURATION_BUCKETS))}`
+      );
+    } else {
+      match.$or = buckets.map((bucket) => {
+        const [min, max] = DURATION_BUCKETS[bucket];
+        return {
+          duration: { $gte: min, ...(max !== Infinity && { $lt: max }) },
+        };
+      });
+    }
+  }
+
+  const createdAt = {};
+
+  if (query.uploadDate) {
+    if (!Object.hasOwn(UPLOAD_DATES, query.uploadDate)) {
+      errors.push(
+        `uploadDate must be one of: ${oneOf(Object.keys(UPLOAD_DATES))}`
+      );
+    } else {
+      createdAt.$gte = new Date(Date.now() - UPLOAD_DATES[query.uploadDate]);
+    }
+  }
+
+  if (query.uploadedAfter) {
+    const date = parseDate(query.uploadedAfter, "uploadedAfter", errors);
+
+    // the later of uploadDate and uploadedAfter wins
+    if (date && !(createdAt.$gte > date)) createdAt.$gte = date;
+  }
+
+  if (query.uploadedBefore) {
+    const date = parseDate(query.uploadedBefore, "uploadedBefore", errors);
+    if (date) createdAt.$lt = date;
+  }
+
+  if (createdAt.$gte && createdAt.$lt && createdAt.$gte >= createdAt.$lt) {
+    errors.push(
+      "uploadedBefore must be later than uploadedAfter and uploadDate"
+    );
+  }
+
+  if (Object.keys(createdAt).length > 0) match.createdAt = createdAt;
+
+  if (query.minViews !== undefined) {
+    const minViews = Number(query.minViews);
+
+    if (query.minViews === "" || !Number.isInteger(minViews) || minViews < 0) {
+      errors.push("minViews must be a whole number of 0 or more");
+    } else {
+      match.views = { $gte: minViews };
+    }
+  }
+
+  if (query.hasCaptions !== undefined) {
+    if (!["true", "false"].includes(query.hasCaptions)) {
+      errors.push("hasCaptions must be true or false");
+    } else {
+      stages.push(...hasCaptionsStages(query.hasCaptions === "true"));
+    }
+  }
+
+  const sortBy = query.sortBy || (query.query ? "relevance" : "date");
+  const sortType = query.sortType || "desc";
+
+  if (!Object.hasOwn(SORT_FIELDS, sortBy)) {
+    errors.push(
+      `sortBy must be one of: ${oneOf(
+        Object.keys(SORT_FIELDS).filter((field) => field !== "createdAt")
+      )}`
+    );
+  } else if (sortBy === "relevance" && !query.query) {
+    errors.push("sortBy=relevance needs a search query");
+  }
+
+  if (!["asc", "desc"].includes(sortType)) {
+    errors.push("sortType must be either asc or desc");
+  }
+
+  if (errors.length > 0) {
+    throw new APIError(400, "Invalid video filters", errors);
+  }
+
+  if (sortBy === "likes") stages.push(...likesCountStages);
+
+  const direction = sortType === "asc" ? 1 : -1;
+  const sort = { [SORT_FIELDS[sortBy]]: direction };
+
+  // relevance ties go to the newest video
+  if (sortBy === "relevance") sort.createdAt = -1;
+
+  return { match, stages, sort };
+};
+
+export { parseVideoListQuery };
@@ -0,0 +1,147 @@
+import fs from "fs";
+import path from "path";
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { APIError } from "./apiError.js";
+import { chaptersFromDescription } from "./chapters.js";
+import { indexVideoForSearch } from "./search/index.js";
+import { promoteToCreator } from "./permissions.js";
+import { TEMP_DIR } from "../constant.js";
+import { enqueueVideoProcessing } from "../jobs/videoProcessing.job.js";
+
+// Reads an optional publishAt from a request body. Empty values mean "not
+// scheduled"; anything else must be a date in the future.
+const parsePublishAt = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const publishAt = new Date(value);
+
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new APIError(400, "publishAt must be a valid date");
+  }
+
+  if (publishAt <= new Date()) {
+    throw new APIError(400, "publishAt must be in the future");
+  }
+
+  return publishAt;
+};
+
+const VISIBILITIES = ["public", "unlisted", "private"];
+
+const parseVisibility = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (!VISIBILITIES.includes(value)) {
+    throw new APIError(
+      400,
+      `visibility must be one of: ${VISIBILITIES.join(", ")}`
+    );
+  }
+
+  return value;
+};
+
+// Accepts an array of user IDs, or a comma separated string for multipart
+// forms.
+const parseAllowedViewers = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const ids = (Array.isArray(value) ? value : String(value).split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+
+  if (ids.some((id) => !isValidObjectId(id))) {
+    throw new APIError(400, "allowedViewers must contain valid user IDs");
+  }
+
+  return [...new Set(ids)];
+};
+
+// Creates the Video straight away in the `processing` state and leaves the
+// transfer, probing and derived assets to the processing worker.
+const publishVideoFromLocalFiles = async ({
+  owner,
+  title,
+  description,
+  videoFileLocalPath,
+  thumbnailLocalPath,
+  publishAt,
+  visibility = "public",
+  allowedViewers = [],
+  tags = [],
+  category,
+}) => {
+  const videoId = new mongoose.Types.ObjectId();
+
+  // multer keeps original file names, so give the sources a name that
+  // cannot collide with another upload while they wait for the worker
+  const sourcePath = path.join(
+    TEMP_DIR,
+    `${videoId}-source${path.extname(videoFileLocalPath)}`
+  );
+  const thumbnailPath = path.join(
+    TEMP_DIR,
+    `${videoId}-thumbnail${path.extname(thumbnailLocalPath)}`
+  );
+
+  // on failure the files are moved back, so the caller can either remove
+  // them or keep them for a retry (resumable uploads)
+  const restoreFiles = async () => {
+    await fs.promises.rename(sourcePath, videoFileLocalPath).catch(() => {});
+    await fs.promises.rename(thumbnailPath, thumbnailLocalPath).catch(() => {});
+  };
+
+  let video;
+  try {
+    await fs.promises.rename(videoFileLocalPath, sourcePath);
+    await fs.promises.rename(thumbnailLocalPath, thumbnailPath);
+
+    video = await Video.create({
+      _id: videoId,
+      title,
+      description: description || "",
+      chapters: chaptersFromDescription(description),
+      tags,
+      category: category || undefined,
+      duration: 0,
+      views: 0,
+      visibility,
+      allowedViewers,
+      publishAt: publishAt || undefined,
+      status: "processing",
+      processing: {
+        stage: "queued",
+        progress: 0,
+        sourcePath,
+        thumbnailPath,
+      },
+      owner,
+    });
+  } catch (error) {
+    await restoreFiles();
+
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw new APIError(
+        400,
+        "Invalid video details",
+        Object.values(error.errors).map((fieldError) => fieldError.message)
+      );
+    }
+    throw new APIError(500, "Failed to publish video");
+  }
+
+  await indexVideoForSearch(video);
+  await promoteToCreator(owner);
+
+  enqueueVideoProcessing();
+
+  return video;
+};
+
+export {
+  parseAllowedViewers,
+  parsePublishAt,
+  parseVisibility,
+  publishVideoFromLocalFiles,
+};
@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+
+const readForm = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const createSigningKey = () => ({
+  kid: crypto.randomUUID(),
+  ...crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }),
+});
+
+// A local OpenID Connect provider for tests. It serves discovery, the
+// authorization endpoint (which redirects straight back with a code, as if
+// the user had signed in), the token endpoint and the JWKS. Codes are bound
+// to the PKCE challenge, nonce and redirect URI they were issued for, and
+// can be redeemed once.
+const startMockOidcProvider = async ({
+  clientId,
+  clientSecret,
+  profile = {},
+}) => {
+  const codes = new Map();
+  let signingKey = createSigningKey();
+  // set to sign ID tokens with a key that is not in the JWKS
+  let unpublishedKey = null;
+  // lets a test alter the claims of the next ID tokens (e.g. the nonce)
+  let claimOverrides = {};
+
+  const stats = { jwksRequests: 0 };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+        id_token_signing_alg_values_supported: ["RS256"],
+      });
+    }
+
+    if (url.pathname === "/jwks") {
+      stats.jwksRequests += 1;
+      return sendJson(res, 200, {
+        keys: [
+          {
+            ...signingKey.publicKey.export({ format: "jwk" }),
+            kid: signingKey.kid,
+            use: "sig",
+            alg: "RS256",
+          },
+        ],
+      });
+    }
+
+    if (url.pathname === "/authorize") {
+      const params = Object.fromEntries(url.searchParams);
+
+      if (
+        params.response_type !== "code" ||
+        params.client_id !== clientId ||
+        params.code_challenge_method !== "S256" ||
+        !params.code_challenge ||
+        !params.redirect_uri
+      ) {
+        return sendJson(res, 400, { error: "invalid_request" });
+      }
+
+      const code = crypto.randomBytes(16).toString("base64url");
+      codes.set(code, {
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        redirectUri: params.redirect_uri,
+      });
+
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set("code", code);
+      redirect.searchParams.set("state", params.state);
+
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readForm(req);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      if (
+        form.grant_type !== "authorization_code" ||
+        form.client_id !== clientId ||
+        (clientSecret && form.client_secret !== clientSecret)
+      ) {
+        return sendJson(res, 401, { error: "invalid_client" });
+      }
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.code_verifier || "")
+        .digest("base64url");
+
+      if (
+        !grant ||
+        grant.redirectUri !== form.redirect_uri ||
+        grant.codeChallenge !== challenge
+      ) {
+        return sendJson(res, 400, { error: "invalid_grant" });
+      }
+
+      const key = unpublishedKey || signingKey;
+      const idToken = jwt.sign(
+        {
+          iss: issuer,
+          aud: clientId,
+          sub: "mock-user",
+          exp: Math.floor(Date.now() / 1000) + 300,
+          email_verified: true,
+          ...profile,
+          nonce: grant.nonce,
+          ...claimOverrides,
+        },
+        key.privateKey,
+        { algorithm: "RS256", keyid: key.kid }
+      );
+
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString("base64url"),
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: idToken,
+      });
+    }
+
+    return sendJson(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    stats,
+    rotateSigningKey: () => {
+      signingKey = createSigningKey();
+    },
+    signWithUnpublishedKey: (enabled = true) => {
+      unpublishedKey = enabled ? createSigningKey() : null;
+    },
+    overrideClaims: (claims = {}) => {
+      claimOverrides = claims;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Follows the authorization URL like a browser whose user signs in at once,
+// and returns the query of the redirect back to the app.
+const authorize = async (authorizationUrl) => {
+  const response = await fetch(authorizationUrl, { redirect: "manual" });
+
+  if (response.status !== 302) {
+    throw new Error(`Authorization failed with status ${response.status}`);
+  }
+
+  return Object.fromEntries(
+    new URL(response.headers.get("location")).searchParams
+  );
+};
+
+export { startMockOidcProvider, authorize };
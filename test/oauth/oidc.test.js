@@ -0,0 +1,301 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, test } from "node:test";
+import {
+  authorize,
+  startMockOidcProvider,
+} from "../helpers/mockOidcProvider.js";
+
+const CLIENT_ID = "mytube-test";
+const CLIENT_SECRET = "mytube-test-secret";
+const REDIRECT_URI = "http://localhost:3000/oauth/callback";
+
+const profile = {
+  sub: "user-1",
+  email: "oidc-user@example.com",
+  name: "OIDC User",
+  preferred_username: "oidcuser",
+};
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const pkcePair = () => {
+  const codeVerifier = randomToken();
+  return {
+    codeVerifier,
+    codeChallenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+  };
+};
+
+describe("OIDC provider", () => {
+  let mock;
+  let createOidcProvider;
+
+  before(async () => {
+    mock = await startMockOidcProvider({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      profile,
+    });
+    ({ createOidcProvider } =
+      await import("../../src/utils/oauth/oidc.provider.js"));
+  });
+
+  after(() => mock.close());
+
+  const newProvider = () =>
+    createOidcProvider({
+      name: "oidc",
+      issuer: mock.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+    });
+
+  // Runs the browser half of the flow and returns what the callback gets.
+  const startLogin = async (provider) => {
+    const state = randomToken();
+    const nonce = randomToken();
+    const { codeVerifier, codeChallenge } = pkcePair();
+
+    const callback = await authorize(
+      await provider.getAuthorizationUrl({
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: REDIRECT_URI,
+      })
+    );
+
+    return { state, nonce, codeVerifier, callback };
+  };
+
+  test("completes the code flow with PKCE, state and nonce", async () => {
+    const provider = newProvider();
+    const { state, nonce, codeVerifier, callback } = await startLogin(provider);
+
+    assert.equal(callback.state, state);
+
+    const result = await provider.getProfile({
+      code: callback.code,
+      codeVerifier,
+      nonce,
+      redirectUri: REDIRECT_URI,
+    });
+
+    assert.deepEqual(result, {
+      subject: "user-1",
+      email: "oidc-user@example.com",
+      emailVerified: true,
+      name: "OIDC User",
+      username: "oidcuser",
+      picture: undefined,
+    });
+  });
+
+  test("rejects a code redeemed with another PKCE verifier", async () => {
+    const provider = newProvider();
+    const { nonce, callback } = await startLogin(provider);
+
+    await assert.rejects(
+      provider.getProfile({
+        code: callback.code,
+        codeVerifier: randomToken(),
+        nonce,
+        redirectUri: REDIRECT_URI,
+      }),
+      /failed with status 400/
+    );
+  });
+
+  test("rejects a code that was already redeemed", async () => {
+    const provider = newProvider();
+    const { nonce, codeVerifier, callback } = await startLogin(provider);
+    const redeem = () =>
+      provider.getProfile({
+        code: callback.code,
+        codeVerifier,
+        nonce,
+        redirectUri: REDIRECT_URI,
+      });
+
+    await redeem();
+    await assert.rejects(redeem(), /failed with status 400/);
+  });
+
+  test("rejects an ID token issued for another nonce", async () => {
+    const provider = newProvider();
+    const { codeVerifier, callback } = await startLogin(provider);
+
+    await assert.rejects(
+      provider.getProfile({
+        code: callback.code,
+        codeVerifier,
+        nonce: randomToken(),
+        redirectUri: REDIRECT_URI,
+      }),
+      /nonce mismatch/
+    );
+  });
+
+  test("rejects an ID token for another audience", async (t) => {
+    mock.overrideClaims({ aud: "someone-else" });
+    t.after(() => mock.overrideClaims());
+
+    const provider = newProvider();
+    const { nonce, codeVerifier, callback } = await startLogin(provider);
+
+    await assert.rejects(
+      provider.getProfile({
+        code: callback.code,
+        codeVerifier,
+        nonce,
+        redirectUri: REDIRECT_URI,
+      }),
+      /audience invalid/
+    );
+  });
+
+  test("reloads the JWKS once the signing key rotates", async () => {
+    const provider = newProvider();
+    const login = async () => {
+      const { nonce, codeVerifier, callback } = await startLogin(provider);
+      return provider.getProfile({
+        code: callback.code,
+        codeVerifier,
+        nonce,
+        redirectUri: REDIRECT_URI,
+      });
+    };
+
+    await login();
+    const requests = mock.stats.jwksRequests;
+
+    await login();
+    assert.equal(mock.stats.jwksRequests, requests, "keys are cached");
+
+    mock.rotateSigningKey();
+    const result = await login();
+
+    assert.equal(result.subject, "user-1");
+    assert.equal(mock.stats.jwksRequests, requests + 1);
+  });
+
+  test("rejects an ID token signed with a key missing from the JWKS", async (t) => {
+    mock.signWithUnpublishedKey();
+    t.after(() => mock.signWithUnpublishedKey(false));
+
+    const provider = newProvider();
+    const { nonce, codeVerifier, callback } = await startLogin(provider);
+
+    await assert.rejects(
+      provider.getProfile({
+        code: callback.code,
+        codeVerifier,
+        nonce,
+        redirectUri: REDIRECT_URI,
+      }),
+      /Unknown ID token signing key/
+    );
+  });
+});
+
+// The whole login through the API: start, the provider's redirect and the
+// callback with the state cookie. Needs a MongoDB to store the state and
+// the account.
+describe(
+  "OIDC login callback",
+  {
+    skip: !process.env.MONGODB_URI && "set MONGODB_URI to run against MongoDB",
+  },
+  () => {
+    let mock;
+    let server;
+    let baseUrl;
+    let mongoose;
+
+    before(async () => {
+      mock = await startMockOidcProvider({
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        profile,
+      });
+
+      Object.assign(process.env, {
+        OIDC_ISSUER: mock.issuer,
+        OIDC_CLIENT_ID: CLIENT_ID,
+        OIDC_CLIENT_SECRET: CLIENT_SECRET,
+        OAUTH_REDIRECT_URL: REDIRECT_URI,
+        ACCESS_TOKEN_SECRET: "test-access-secret",
+        ACCESS_TOKEN_EXPIRY: "15m",
+        REFRESH_TOKEN_SECRET: "test-refresh-secret",
+        REFRESH_TOKEN_EXPIRY: "1d",
+      });
+
+      ({ default: mongoose } = await import("mongoose"));
+      await mongoose.connect(`${process.env.MONGODB_URI}/MyTube-test`);
+
+      const { app } = await import("../../src/app.js");
+      server = app.listen(0, "127.0.0.1");
+      await new Promise((resolve) => server.once("listening", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+      await mock.close();
+    });
+
+    const startLogin = async () => {
+      const response = await fetch(`${baseUrl}/auth/oauth/oidc/start`, {
+        method: "POST",
+      });
+      assert.equal(response.status, 200);
+
+      const cookie = response.headers.get("set-cookie").split(";")[0];
+      const { data } = await response.json();
+
+      return { cookie, callback: await authorize(data.authorizationUrl) };
+    };
+
+    const sendCallback = (cookie, body) =>
+      fetch(`${baseUrl}/auth/oauth/callback`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Cookie: cookie },
+        body: JSON.stringify(body),
+      });
+
+    test("logs in and creates the account", async () => {
+      const { cookie, callback } = await startLogin();
+
+      assert.equal(cookie, `oauthState=${callback.state}`);
+
+      const response = await sendCallback(cookie, callback);
+      const { data } = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.user.email, "oidc-user@example.com");
+      assert.ok(data.accessToken);
+    });
+
+    test("rejects a callback from another browser", async () => {
+      const { callback } = await startLogin();
+      const other = await startLogin();
+
+      const response = await sendCallback(other.cookie, callback);
+
+      assert.equal(response.status, 400);
+    });
+
+    test("rejects a state that was already used", async () => {
+      const { cookie, callback } = await startLogin();
+
+      assert.equal((await sendCallback(cookie, callback)).status, 200);
+      assert.equal((await sendCallback(cookie, callback)).status, 400);
+    });
+  }
+);